@@ -1,20 +1,1014 @@
 // エクスポートされる関数とデフォルト設定をまとめたモジュール
-export function createQuiz(options = {}) {
-	/**
-	 * @typedef {Object} DomRefs
-	 * @property {HTMLElement} questionText
-	 * @property {HTMLElement} hintButton
-	 * @property {HTMLElement} hintText
-	 * @property {HTMLElement[]} selectionButtons
-	 * @property {HTMLElement} resultText
-	 * @property {HTMLElement} nextButton
-	 * @property {HTMLElement} quizScreen
-	 * @property {HTMLElement} resultScreen
-	 * @property {HTMLElement} scoreDisplay
-	 * @property {HTMLElement} resultTableBody
-	 * @property {HTMLElement=} restartButton
-	 */
+// ---- 語源ヒントの解析 (createQuiz の外でも使えるようにモジュール直下に置く) ----
+
+// 区切りのないパーツ (例: "ap(〜へ) + par(現れる)" の ap) を接頭辞とみなすための一覧
+const KNOWN_PREFIXES = new Set([
+	"a", "ab", "ac", "ad", "af", "ag", "al", "an", "ap", "ar", "as", "at",
+	"co", "col", "com", "con", "cor", "de", "di", "dis", "e", "ef", "em", "en", "ex",
+	"il", "im", "in", "inter", "ir", "mis", "neg", "ob", "oc", "of", "op", "per",
+	"pre", "pro", "re", "se", "sub", "suc", "suf", "sup", "sus", "trans", "un",
+]);
+
+// "ラテン語 imitari(模倣する)" のような由来表記の言語名
+const ORIGIN_LANGUAGES = /^(ラテン語|古英語|古フランス語|古ノルド語|ゲルマン語|中英語|中世英語)\s*/;
+
+const MORPHEME_PART = /^(-?[A-Za-zÀ-ɏ]+-?)\s*\(([^)]*)\)/;
+
+/**
+ * @typedef {Object} Morpheme
+ * @property {"prefix"|"root"|"suffix"} type
+ * @property {string} form   display form: "ex-", "hibit", "-ment"
+ * @property {string} key    form without hyphens, lower-cased
+ * @property {string} gloss  Japanese gloss, e.g. "外に" / "名詞化"
+ */
+
+/**
+ * @typedef {Object} ParsedHint
+ * @property {Morpheme[]} parts   empty when the hint is not a "a + b" breakdown
+ * @property {string} literal     literal meaning in 「」 (e.g. "外に示す"), or ""
+ * @property {{ language: string, form: string, gloss: string }|null} origin
+ */
+
+// 語尾の表記ゆれをそろえる: "名詞語尾" → "名詞化"
+function normalizeGloss(gloss) {
+	return (gloss || "").trim().replace(/(名詞|動詞|形容詞|副詞)語尾/g, "$1化");
+}
+
+/**
+ * Parse an etymology hint such as
+ * "ex-(外に) + hibit(持つ、示す) →「外に示す」" into prefixes, roots and suffixes.
+ * Hints that only name an origin ("古英語wēgan(持ち上げる、量る) →…") give parts: [] and origin.
+ * @param {string} hint
+ * @returns {ParsedHint}
+ */
+export function parseHint(hint) {
+	const text = (hint || "") + "";
+	const result = { parts: [], literal: "", origin: null };
+	if (!text) return result;
+
+	// "→" か "から「" までが形態素の並び、その後の最初の「…」が字義
+	const arrow = text.search(/→|から「/);
+	const head = arrow >= 0 ? text.slice(0, arrow) : text;
+	const literal = text.slice(arrow >= 0 ? arrow : text.length).match(/「([^」]*)」/);
+	if (literal) result.literal = literal[1];
+
+	const pieces = head.split("+").map((p) => p.trim()).filter(Boolean);
+	const parsed = [];
+	for (const piece of pieces) {
+		const lang = piece.match(ORIGIN_LANGUAGES);
+		const body = lang ? piece.slice(lang[0].length) : piece;
+		const m = body.match(MORPHEME_PART);
+		if (!m) return pieces.length === 1 ? parseOrigin(text, result) : result;
+		parsed.push({ form: m[1], gloss: m[2], language: lang ? lang[1] : "" });
+	}
+	if (parsed.length < 2) return parseOrigin(text, result);
+
+	parsed.forEach((p, i) => {
+		const key = p.form.replace(/-/g, "").toLowerCase();
+		let type = "root";
+		if (p.form.startsWith("-")) type = "suffix";
+		else if (p.form.endsWith("-")) type = "prefix";
+		else if (i === 0 && KNOWN_PREFIXES.has(key)) type = "prefix";
+		const form = type === "prefix" ? `${key}-` : type === "suffix" ? `-${key}` : key;
+		result.parts.push({ type, form, key, gloss: normalizeGloss(p.gloss) });
+	});
+	return result;
+}
+
+function parseOrigin(text, result) {
+	const m = text.match(/(ラテン語|古英語|古フランス語|古ノルド語|ゲルマン語|中英語|中世英語)\s*([A-Za-zÀ-ɏ]+)\s*\(([^)]*)\)/);
+	if (m) result.origin = { language: m[1], form: m[2], gloss: m[3] };
+	return result;
+}
+
+// ---- 意味テキストの解析 ----
+
+// 意味の中の "(with / to)" を前置詞の注記として扱うための一覧
+const PREPOSITIONS = new Set([
+	"about", "against", "as", "at", "by", "for", "from", "in", "into",
+	"of", "on", "over", "to", "toward", "with",
+]);
+
+/**
+ * @typedef {Object} ParsedMeaning
+ * @property {string} core            meaning without the annotations below
+ * @property {string[]} antonyms      from "(⇔ weaken)" / "(⇔ disapprove 反対する)"
+ * @property {string[]} synonyms      from "(≒achieve)"
+ * @property {string[]} prepositions  from "(with / to)", "(of)" …
+ * @property {{ text: string, prepositions: string[] }[]} senses  core split on "、"
+ */
+
+/**
+ * Split structured extras out of a meaning string, e.g.
+ * "(〜に)一致する(with / to)、(〜と)連絡を取り合う(with)" →
+ * core "(〜に)一致する、(〜と)連絡を取り合う", prepositions ["with", "to"].
+ * @param {string} meaning
+ * @returns {ParsedMeaning}
+ */
+export function parseMeaning(meaning) {
+	const text = (meaning || "") + "";
+	const result = { core: "", antonyms: [], synonyms: [], prepositions: [], senses: [] };
+
+	// 括弧の外にある "、" で語義ごとに分ける ("(文化、自然)遺産" は分けない)
+	const pieces = [];
+	let buf = "";
+	let depth = 0;
+	for (const ch of text) {
+		if ("(（[".includes(ch)) depth++;
+		else if (")）]".includes(ch) && depth > 0) depth--;
+		if (ch === "、" && depth === 0) {
+			pieces.push(buf);
+			buf = "";
+		} else buf += ch;
+	}
+	pieces.push(buf);
+
+	for (const piece of pieces) {
+		const preps = [];
+		const cleaned = piece
+			.replace(/[(（]([^()（）]*)[)）]/g, (all, inner) => {
+				const body = inner.trim();
+				if (body.startsWith("⇔")) {
+					const m = body.slice(1).trim().match(/^([A-Za-z][A-Za-z' -]*[A-Za-z])/);
+					if (m) result.antonyms.push(m[1].trim());
+					return "";
+				}
+				if (body.startsWith("≒")) {
+					for (const t of body.slice(1).split(/[,/]/)) if (t.trim()) result.synonyms.push(t.trim());
+					return "";
+				}
+				const words = body.split("/").map((t) => t.trim());
+				if (words.every((t) => PREPOSITIONS.has(t))) {
+					preps.push(...words);
+					return "";
+				}
+				return all;
+			})
+			.trim();
+		if (!cleaned) continue;
+		result.senses.push({ text: cleaned, prepositions: preps });
+		for (const p of preps) if (!result.prepositions.includes(p)) result.prepositions.push(p);
+	}
+	result.core = result.senses.map((s) => s.text).join("、") || text;
+	return result;
+}
+
+// ---- 単語データの検証 (データ作成者向け。cfg.debug のときは読み込み後にコンソールへ出す) ----
+
+// 品詞として認める値
+export const KNOWN_POS = [
+	"動詞",
+	"名詞",
+	"形容詞",
+	"副詞",
+	"名詞句",
+	"動詞句",
+	"形容詞句",
+	"副詞句",
+	"前置詞",
+	"接続詞",
+	"代名詞",
+	"助動詞",
+	"間投詞",
+	"熟語",
+];
+
+function longestCommonSubstringLength(a, b) {
+	const m = a.length,
+		n = b.length;
+	const dp = Array(m + 1)
+		.fill(null)
+		.map(() => Array(n + 1).fill(0));
+	let max = 0;
+	for (let i = 1; i <= m; i++) {
+		for (let j = 1; j <= n; j++) {
+			if (a[i - 1] === b[j - 1]) {
+				dp[i][j] = dp[i - 1][j - 1] + 1;
+				if (dp[i][j] > max) max = dp[i][j];
+			}
+		}
+	}
+	return max;
+}
+
+// normalizeWords と同じ形 (配列 / { word, ... } / { "insist": {...} } / 文字列) から各フィールドを取り出す
+function readWordItem(item) {
+	if (Array.isArray(item))
+		return { word: item[0], meaning: item[1], hint: item[2], POS: item[3], id: item[4] && item[4].id };
+	if (typeof item === "string") return { word: item };
+	if (typeof item !== "object" || item === null) return null;
+	if (typeof item.word === "string") return item;
+	const key = Object.keys(item)[0];
+	if (key === undefined) return null;
+	return Object.assign({ word: key }, item[key]);
+}
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {"error"|"warning"} level
+ * @property {string} code     "unknown-item" | "missing-word" | "missing-meaning" | "missing-hint" |
+ *                             "missing-pos" | "unknown-pos" | "duplicate" | "similar-meaning"
+ * @property {string} message
+ * @property {number} index    position in the data (-1 for the object-map form)
+ * @property {string=} word
+ * @property {string=} POS
+ */
+
+/**
+ * Check word data before it goes into a quiz. Accepts every shape normalizeWords() accepts.
+ * Similar meanings are compared within the same POS, because distractors are picked from it.
+ * @param {Array|Object} raw
+ * @param {{ knownPOS?: string[], similarity?: boolean, locale?: string, texts?: Object }} [options]
+ *   similarity: false skips the pairwise meaning check; locale / texts pick the language of the messages
+ * @returns {{ ok: boolean, count: number, errors: number, warnings: number, issues: ValidationIssue[] }}
+ */
+export function validateWords(raw, options = {}) {
+	const knownPOS = new Set(options.knownPOS || KNOWN_POS);
+	const issues = [];
+	const add = (level, code, key, params, index, entry) =>
+		issues.push({
+			level,
+			code,
+			message: catalogMessage(options, key, params),
+			index,
+			word: entry && entry.word,
+			POS: entry && entry.POS,
+		});
+
+	const items = Array.isArray(raw)
+		? raw.map((item, index) => ({ index, entry: readWordItem(item) }))
+		: raw && typeof raw === "object"
+		? Object.keys(raw).map((key) => ({ index: -1, entry: Object.assign({ word: key }, raw[key]) }))
+		: [];
+
+	const seen = {};
+	const entries = [];
+	for (const { index, entry } of items) {
+		if (!entry) {
+			add("error", "unknown-item", "validateUnreadable", { n: index + 1 }, index, null);
+			continue;
+		}
+		const where = catalogMessage(options, index >= 0 ? "validateWhere" : "validateWhereKey", {
+			n: index + 1,
+			word: entry.word || "",
+		});
+		if (!entry.word || !String(entry.word).trim()) {
+			add("error", "missing-word", "validateNoWord", { where }, index, entry);
+			continue;
+		}
+		if (!entry.meaning) add("error", "missing-meaning", "validateNoMeaning", { where }, index, entry);
+		if (!entry.hint) add("warning", "missing-hint", "validateNoHint", { where }, index, entry);
+		if (!entry.POS) add("warning", "missing-pos", "validateNoPOS", { where }, index, entry);
+		else if (!knownPOS.has(entry.POS)) add("warning", "unknown-pos", "validateUnknownPOS", { where, pos: entry.POS }, index, entry);
+		const id = entry.id ? String(entry.id) : `${entry.word}#${entry.POS || ""}`;
+		if (seen[id] !== undefined) add("error", "duplicate", "validateDuplicate", { where, n: seen[id] + 1, id }, index, entry);
+		else seen[id] = index;
+		if (entry.meaning) entries.push({ index, entry, core: parseMeaning(entry.meaning).core });
+	}
+
+	// 誤答の選択肢として紛らわしい意味: 同じ品詞で意味が同じ、または長い共通部分を持つもの
+	if (options.similarity !== false) {
+		for (let a = 0; a < entries.length; a++) {
+			for (let b = a + 1; b < entries.length; b++) {
+				const x = entries[a];
+				const y = entries[b];
+				if (x.entry.POS !== y.entry.POS || x.entry.word === y.entry.word) continue;
+				const shorter = Math.min(x.core.length, y.core.length);
+				const common = x.core === y.core ? shorter : longestCommonSubstringLength(x.core, y.core);
+				if (common < Math.max(3, Math.ceil(shorter * 0.8))) continue;
+				add(
+					"warning",
+					"similar-meaning",
+					"validateSimilarMeaning",
+					{
+						a: x.entry.word,
+						b: y.entry.word,
+						pos: x.entry.POS || catalogMessage(options, "validateNoPOSLabel"),
+						meaningA: x.core,
+						meaningB: y.core,
+					},
+					y.index,
+					y.entry
+				);
+			}
+		}
+	}
+
+	const errors = issues.filter((i) => i.level === "error").length;
+	return { ok: errors === 0, count: items.length, errors, warnings: issues.length - errors, issues };
+}
+
+/**
+ * validateWords() の結果を 1 行ずつのテキストにする
+ * @param {{ locale?: string, texts?: Object }} [options]  language of the summary and the level labels
+ */
+export function formatValidationReport(report, options = {}) {
+	const lines = [catalogMessage(options, "validateSummary", report)];
+	report.issues.forEach((i) =>
+		lines.push(
+			catalogMessage(options, "validateIssue", {
+				level: catalogMessage(options, i.level === "error" ? "validateError" : "validateWarning"),
+				message: i.message,
+			})
+		)
+	);
+	return lines.join("\n");
+}
+
+// ---- 自作の単語リストの読み込み (CSV / TSV / JSON) ----
+
+// 見出し行の列名 → フィールド
+const COLUMN_NAMES = {
+	word: ["word", "単語", "英単語", "english"],
+	meaning: ["meaning", "意味", "訳", "日本語", "japanese"],
+	hint: ["hint", "ヒント", "語源", "etymology"],
+	POS: ["pos", "品詞", "part of speech"],
+};
+const WORD_FIELDS = ["word", "meaning", "hint", "POS"];
+
+// 引用符 ("a, b" / "say ""hi""") と改行を含むセルに対応した CSV / TSV の分割
+function splitDelimited(text, delimiter) {
+	const rows = [];
+	let row = [];
+	let cell = "";
+	let quoted = false;
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (quoted) {
+			if (c === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (c === '"') quoted = false;
+			else cell += c;
+		} else if (c === '"' && cell === "") quoted = true;
+		else if (c === delimiter) {
+			row.push(cell);
+			cell = "";
+		} else if (c === "\n" || c === "\r") {
+			if (c === "\r" && text[i + 1] === "\n") i++;
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = "";
+		} else cell += c;
+	}
+	if (cell !== "" || row.length > 0) {
+		row.push(cell);
+		rows.push(row);
+	}
+	return rows.map((r) => r.map((v) => v.trim())).filter((r) => r.some((v) => v !== ""));
+}
+
+function guessColumns(header) {
+	const columns = {};
+	header.forEach((name, index) => {
+		const key = name.toLowerCase();
+		for (const field of WORD_FIELDS)
+			if (columns[field] === undefined && COLUMN_NAMES[field].includes(key)) columns[field] = index;
+	});
+	return columns;
+}
+
+/**
+ * Parse a pasted or uploaded word list. JSON accepts every shape normalizeWords() accepts;
+ * CSV / TSV rows are mapped to word / meaning / hint / POS by options.columns (column indices),
+ * by a header row with known names, or else in that order.
+ * @param {string} text
+ * @param {{ format?: "csv"|"tsv"|"json", columns?: { word?: number, meaning?: number, hint?: number, POS?: number },
+ *   locale?: string, texts?: Object }} [options]  locale / texts pick the language of the error
+ * @returns {{ format: string, header: string[]|null, columns: Object, rows: string[][], items: Object[], error?: string }}
+ */
+export function parseWordList(text, options = {}) {
+	const source = String(text || "").replace(/^\ufeff/, "");
+	const trimmed = source.trim();
+	const format =
+		options.format || (/^[[{]/.test(trimmed) ? "json" : /\t/.test(trimmed.split(/\r?\n/)[0]) ? "tsv" : "csv");
+	if (format === "json") {
+		try {
+			const data = JSON.parse(trimmed);
+			// { words: [...] } の形もそのまま受け付ける
+			const items = Array.isArray(data) ? data : Array.isArray(data.words) ? data.words : data;
+			return { format, header: null, columns: {}, rows: [], items };
+		} catch (e) {
+			return { format, header: null, columns: {}, rows: [], items: [], error: catalogMessage(options, "wordListNotJSON") };
+		}
+	}
+	const rows = splitDelimited(source, format === "tsv" ? "\t" : ",");
+	const guessed = rows.length ? guessColumns(rows[0]) : {};
+	const header = guessed.word !== undefined ? rows[0] : null;
+	const columns = Object.assign({}, header ? guessed : { word: 0, meaning: 1, hint: 2, POS: 3 }, options.columns);
+	const body = header ? rows.slice(1) : rows;
+	const items = body.map((r) => {
+		const item = {};
+		for (const field of WORD_FIELDS) item[field] = columns[field] !== undefined && columns[field] >= 0 ? r[columns[field]] || "" : "";
+		return item;
+	});
+	return { format, header, columns, rows: body, items };
+}
+
+// ---- 結果の送信先 (result sinks) ----
+// sink は { name, send(payload) } を持つオブジェクト。send は SinkReport を返す Promise。
+// payload はセッション 1 回分: { sessionId, startedAt, finishedAt, questionCount, score,
+//   mode, questionType, answerInput, sections, seed, items }
+
+/**
+ * @typedef {Object} SinkReport
+ * @property {string} sink       sink name
+ * @property {boolean} ok
+ * @property {number=} status    HTTP status when the sink can see it
+ * @property {string=} error
+ */
+
+const GOOGLE_FORM_ENTRY_IDS = {
+	question: "entry.962079362",
+	correctAnswer: "entry.1340806833",
+	answer: "entry.835875996",
+	correct: "entry.1281843140",
+	hintUsed: "entry.229618259",
+};
+
+/**
+ * Google フォームに 1 問ずつ送信する (従来の送信方法)。
+ * no-cors のため応答は読めない。ネットワークエラーだけを失敗として報告する。
+ * labels は正誤とヒント使用の欄に送る文字列 (既定は 正解 / 不正解 / はい / いいえ)。
+ * locale / texts は失敗したときのエラーの言語。
+ * @param {{ formUrl: string, entryIds?: Object, fetch?: Function,
+ *   labels?: { correct?: string, incorrect?: string, yes?: string, no?: string }, locale?: string, texts?: Object }} options
+ */
+export function googleFormSink(options = {}) {
+	const ENTRY_IDS = Object.assign({}, GOOGLE_FORM_ENTRY_IDS, options.entryIds);
+	const LABELS = Object.assign(
+		{ correct: MESSAGES.ja.formCorrect, incorrect: MESSAGES.ja.formIncorrect, yes: MESSAGES.ja.yes, no: MESSAGES.ja.no },
+		options.labels
+	);
+	return {
+		name: "googleForm",
+		async send(payload) {
+			const doFetch = options.fetch || fetch;
+			let failed = 0;
+			let lastError = "";
+			for (const item of payload.items) {
+				const formData = new FormData();
+				formData.append(ENTRY_IDS.question, item.question);
+				formData.append(ENTRY_IDS.correctAnswer, item.correctAnswer);
+				formData.append(ENTRY_IDS.answer, item.answer);
+				formData.append(ENTRY_IDS.correct, item.correct ? LABELS.correct : LABELS.incorrect);
+				formData.append(ENTRY_IDS.hintUsed, item.hintUsed ? LABELS.yes : LABELS.no);
+				try {
+					await doFetch(options.formUrl, {
+						method: "POST",
+						body: formData,
+						mode: "no-cors",
+					});
+				} catch (err) {
+					failed++;
+					lastError = String((err && err.message) || err);
+				}
+			}
+			if (failed === 0) return { ok: true };
+			return {
+				ok: false,
+				error: catalogMessage(options, "sinkFailed", { failed, total: payload.items.length, error: lastError }),
+			};
+		},
+	};
+}
+
+/**
+ * 任意のエンドポイントへセッション 1 回分をまとめて JSON で POST する。
+ * 2xx 以外の応答は失敗として報告する。
+ * @param {{ url: string, headers?: Object, fetch?: Function }} options
+ */
+export function jsonPostSink(options = {}) {
+	return {
+		name: options.name || "jsonPost",
+		async send(payload) {
+			const doFetch = options.fetch || fetch;
+			const res = await doFetch(options.url, {
+				method: "POST",
+				headers: Object.assign({ "Content-Type": "application/json" }, options.headers),
+				body: JSON.stringify(payload),
+			});
+			if (res && res.ok) return { ok: true, status: res.status };
+			return { ok: false, status: res ? res.status : undefined, error: `HTTP ${res ? res.status : "?"}` };
+		},
+	};
+}
+
+/** 何も送信しない sink (送信を明示的にオフにするとき用) */
+export function noopSink() {
+	return {
+		name: "noop",
+		send() {
+			return Promise.resolve({ ok: true });
+		},
+	};
+}
+
+// ---- seeded randomness and share links ----
+
+/**
+ * Deterministic PRNG for a seed (string or number): mulberry32 on an FNV-1a hash of the seed.
+ * @param {string|number} seed
+ * @returns {() => number} like Math.random, in [0, 1)
+ */
+export function createRandom(seed) {
+	let h = 2166136261;
+	const text = String(seed);
+	for (let i = 0; i < text.length; i++) {
+		h ^= text.charCodeAt(i);
+		h = Math.imul(h, 16777619);
+	}
+	let state = h >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) | 0;
+		let t = Math.imul(state ^ (state >>> 15), 1 | state);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// config key → URL parameter of a share link
+const SHARE_PARAMS = {
+	seed: "seed",
+	sections: "sections",
+	wordList: "list",
+	mode: "mode",
+	questionCount: "count",
+	questionType: "type",
+	answerInput: "input",
+	selection: "choices",
+	difficulty: "level",
+	posFilter: "pos",
+	hints: "hints",
+	timed: "timed",
+	avoidSimilarDistractors: "similar",
+};
+
+/**
+ * Query string for a share link, e.g. "seed=k3x9a&sections=10&mode=1&count=10".
+ * Arrays (sections, questionType, posFilter) are joined with commas and kept when empty
+ * ("sections=" = every section), so the opener's own saved values never fill the gap.
+ * Booleans are written as 1 / 0.
+ * @param {Object} settings  config values keyed like SHARE_PARAMS (seed is required)
+ * @returns {string}
+ */
+export function encodeShareParams(settings) {
+	const params = new URLSearchParams();
+	for (const [key, name] of Object.entries(SHARE_PARAMS)) {
+		const value = settings[key];
+		if (value === undefined || value === null || value === "") continue;
+		if (Array.isArray(value)) params.set(name, value.join(","));
+		else if (typeof value === "boolean") params.set(name, value ? "1" : "0");
+		else {
+			params.set(name, String(value));
+		}
+	}
+	return params.toString();
+}
+
+/**
+ * Read the quiz settings of a share link. Returns null when the query has no seed, so
+ * ordinary page parameters are never mistaken for a shared quiz.
+ * @param {string|URLSearchParams} search  e.g. location.search
+ * @returns {Object|null} options for createQuizEngine / setConfig, plus wordList
+ */
+export function decodeShareParams(search) {
+	const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || "");
+	const seed = params.get(SHARE_PARAMS.seed);
+	if (!seed) return null;
+	const options = { seed };
+	const get = (key) => params.get(SHARE_PARAMS[key]);
+	const list = (key) => get(key).split(",").map((v) => v.trim()).filter(Boolean);
+	const has = (key) => params.has(SHARE_PARAMS[key]);
+	if (has("sections")) options.sections = list("sections");
+	if (get("wordList")) options.wordList = get("wordList");
+	if (get("mode")) options.mode = get("mode") === "mixed" ? "mixed" : Number(get("mode"));
+	const count = parseInt(get("questionCount"), 10);
+	if (count > 0) options.questionCount = count;
+	if (get("questionType")) {
+		const types = list("questionType");
+		options.questionType = types.length > 1 ? types : types[0];
+	}
+	if (get("answerInput")) options.answerInput = get("answerInput") === "typed" ? "typed" : "choice";
+	if (get("selection")) options.selection = Number(get("selection"));
+	if (get("difficulty")) options.difficulty = get("difficulty");
+	if (has("posFilter")) options.posFilter = list("posFilter");
+	if (has("hints")) options.hints = get("hints") !== "0";
+	if (has("timed")) options.timed = ["countdown", "timeAttack"].includes(get("timed")) ? get("timed") : null;
+	if (has("avoidSimilarDistractors"))
+		options.improvements = { avoidSimilarDistractors: get("avoidSimilarDistractors") === "1" };
+	return options;
+}
+
+// ---- speech (text-to-speech) ----
+
+/**
+ * Speech layer used for the speaker button and listening questions. Pass one as the
+ * speech option to replace the browser's speechSynthesis (e.g. with a stub in tests).
+ * @typedef {Object} SpeechLayer
+ * @property {() => boolean} available   false when the browser cannot speak
+ * @property {(text: string, opts: { rate?: number, voice?: string, lang?: string }) => Promise<boolean>} speak
+ *   resolves with false when the text could not be spoken
+ * @property {() => void} cancel
+ * @property {() => { name: string, lang: string }[]} voices
+ */
+
+/**
+ * SpeechLayer on top of the Web Speech API (window.speechSynthesis).
+ * @param {{ synth?: Object, Utterance?: Function }} [options]  for other implementations of the same API
+ * @returns {SpeechLayer}
+ */
+export function webSpeech(options = {}) {
+	const synth = () => options.synth || (typeof window !== "undefined" ? window.speechSynthesis : undefined);
+	const Utterance = () =>
+		options.Utterance || (typeof window !== "undefined" ? window.SpeechSynthesisUtterance : undefined);
+	return {
+		available: () => !!(synth() && Utterance()),
+		speak(text, opts = {}) {
+			const s = synth();
+			const U = Utterance();
+			if (!s || !U || !text) return Promise.resolve(false);
+			return new Promise((resolve) => {
+				// 前の読み上げが残っていたら止めてから話す
+				s.cancel();
+				const utterance = new U(text);
+				utterance.lang = opts.lang || "en-US";
+				utterance.rate = opts.rate || 1;
+				const voice = opts.voice && s.getVoices().find((v) => v.name === opts.voice);
+				if (voice) utterance.voice = voice;
+				utterance.onend = () => resolve(true);
+				utterance.onerror = () => resolve(false);
+				s.speak(utterance);
+			});
+		},
+		cancel() {
+			if (synth()) synth().cancel();
+		},
+		// ブラウザによっては voiceschanged の後まで空のことがある
+		voices() {
+			const s = synth();
+			return s ? s.getVoices().map((v) => ({ name: v.name, lang: v.lang })) : [];
+		},
+	};
+}
+
+/** SpeechLayer that never speaks: no speaker button, no listening questions. */
+export function noSpeech() {
+	return {
+		available: () => false,
+		speak: () => Promise.resolve(false),
+		cancel() {},
+		voices: () => [],
+	};
+}
+
+// sink.send を呼び、例外や戻り値の形の違いを SinkReport にそろえる
+function deliverToSink(sink, payload) {
+	const name = (sink && sink.name) || "sink";
+	return Promise.resolve()
+		.then(() => sink.send(payload))
+		.then(
+			(report) => Object.assign({ ok: true }, report, { sink: name }),
+			(err) => ({ sink: name, ok: false, error: String((err && err.message) || err) })
+		);
+}
+
+// ---- messages (i18n) ----
+
+/**
+ * Built-in message catalogs. Placeholders are written as {name} and filled by formatMessage().
+ * Pick one with the locale option; single messages can be overridden with the texts option.
+ * More locales can be added as MESSAGES.<locale> (missing keys fall back to ja).
+ */
+export const MESSAGES = {
+	ja: {
+		// 出題
+		promptMeaning: "「{word}」の意味は？",
+		promptWord: "「{meaning}」の英単語は？",
+		posText: "（{pos}）",
+		promptSense: "（{meaning}）",
+		promptMorphemeForm: "「{gloss}」を表す{label}は？",
+		promptMorphemeMeaning: "{label}「{form}」の意味は？",
+		promptSuffixFunction: "{label}「{form}」の働きは？",
+		promptDerivationSuffix: "「{base}」を{pos}にする接尾辞は？",
+		promptDerivationForm: "「{base}」の{pos}形は？",
+		promptAntonym: "「{word}」の反意語は？",
+		promptPreposition: "{word} ___ 〜「{sense}」の ___ に入る前置詞は？",
+		promptListeningMeaning: "読み上げた単語の意味は？",
+		promptListeningWord: "読み上げた単語を入力してください",
+		listeningResult: "🔊 {word}",
+		speak: "🔊",
+		speakLabel: "発音を聞く",
+		morphemePrefix: "接頭辞",
+		morphemeRoot: "語根",
+		morphemeSuffix: "接尾辞",
+		morphemeExamples: "例: {examples}",
+		// 解答とヒント
+		next: "次の問題",
+		results: "結果を見る",
+		correct: "正解です！",
+		incorrect: "不正解です。正解は「{answer}」でした。",
+		close: "惜しい！正しいつづりは「{answer}」です。",
+		timeUp: "時間切れ！正解は「{answer}」でした。",
+		annotation: "（{notes}）",
+		noteAntonyms: "反意語: {words}",
+		noteSynonyms: "類義語: {words}",
+		notePrepositions: "前置詞: {words}",
+		noteHeard: "単語: {word}",
+		hint: "ヒント",
+		noHint: "(ヒントはありません)",
+		hintLiteral: " →「{literal}」",
+		typedLabel: "英単語を入力",
+		typedSubmit: "解答する",
+		typedInput: "入力: {input}",
+		noData: "単語データが見つかりません。words-data.js を読み込むか、createQuiz に words を渡してください。",
+		noDataChoice: "（データなし）",
+		loadFailed: "単語データを読み込めませんでした: {src}",
+		reviewMistakesStatus: "間違えた問題の復習: {number} / {total}",
+		reviewWeakStatus: "苦手な単語の復習: 残り {remaining} / {total} 語 ({streak} 回続けて正解で完了)",
+		timerSession: "タイムアタック 残り {seconds} 秒 / {score} 問正解",
+		timerQuestion: "残り {seconds} 秒",
+		timerSeparator: " ・ ",
+		// 結果
+		resultsTitle: "クイズ結果",
+		score: "あなたのスコアは {score} / {total} です。",
+		highScore: " (過去最高: {high} / {total})",
+		timeAttackScore: "タイムアタック: {seconds} 秒で {score} 問正解 ({answered} 問解答)。",
+		timeAttackHighScore: " (過去最高: {high} 問)",
+		averageTime: " 平均解答時間: {seconds} 秒",
+		bySection: "セクション別: {sections}",
+		listSeparator: "、",
+		reviewMistakes: "間違えた問題を復習",
+		reviewWeak: "苦手な単語を復習",
+		reviewWeakCount: "苦手な単語を復習 ({count} 語)",
+		exportCSV: "結果を CSV で保存",
+		restart: "もう一度挑戦する",
+		submitted: "結果を送信しました。",
+		submitFailed: "結果の送信に失敗しました。接続が戻ったら自動で再送します。",
+		pending: "{count}件未送信",
+		// 表の見出しと書き出し
+		colQuestion: "問題",
+		colAnswer: "正答",
+		colHint: "ヒント",
+		colResponse: "解答",
+		colResult: "正誤",
+		colHintUsed: "ヒント使用",
+		colWord: "単語",
+		colMeaning: "意味",
+		colPOS: "品詞",
+		colAttempts: "解答数",
+		colAccuracy: "正答率",
+		colCorrectOf: "正解 / 解答",
+		colAvgTime: "平均時間",
+		colHintOf: "ヒント / 解答",
+		yes: "はい",
+		no: "いいえ",
+		formCorrect: "正解",
+		formIncorrect: "不正解",
+		seconds: "{seconds} 秒",
+		posOther: "その他",
+		// 学習記録
+		statsButton: "記録",
+		statsTitle: "学習記録",
+		statsClose: "もどる",
+		statsEmpty: "まだ記録がありません。クイズを解くとここに表示されます。",
+		statsTotals: "学習した単語: {words} 語 / 解答数: {attempts} 回 / クイズ: {sessions} 回 / 過去最高: {high}",
+		statsTimedTotals: "制限時間モードの最高: {timed} / タイムアタックの最高: {timeAttack} 問",
+		statsHistory: "スコアの推移",
+		statsByPOS: "品詞別の正答率",
+		statsWeakest: "苦手な単語 (上位 {count} 語)",
+		statsNoWeak: "苦手な単語はありません。",
+		statsHintHeavy: "ヒントをよく使う単語",
+		statsNoHintHeavy: "ヒントをよく使う単語はありません。",
+		statsExportJSON: "記録を書き出す (JSON)",
+		statsExportAnki: "苦手な単語を書き出す (Anki)",
+		statsImportMerge: "記録を読み込んで追加",
+		statsImportReplace: "記録を読み込んで置き換え",
+		statsImported: "読み込みました (クイズ {sessions} 回 / {words} 語)。",
+		statsImportFailed: "読み込めませんでした: {error}",
+		// 記録の読み込みエラー
+		statsNotJSON: "JSON として読み込めませんでした。",
+		statsWrongFormat: "このクイズの記録ファイルではありません。",
+		statsNoData: "記録のデータがありません。",
+		statsBadVersion: "記録のバージョン {version} が正しくありません。",
+		statsNewerVersion: "記録のバージョン {version} はこのクイズより新しいものです。",
+		statsAlreadyImported: "この記録ファイルはすでに読み込んでいます。",
+		statsOwnRecords: "この記録はいまの学習記録から書き出したものです。戻すときは「置き換え」を使ってください。",
+		statsSessionsNotArray: "sessions が配列ではありません。",
+		statsSessionIncomplete: "sessions に ts / score / questionCount のない記録があります。",
+		statsItemsNotArray: "sessions の items が配列ではありません。",
+		statsPerWordNotObject: "perWord がオブジェクトではありません。",
+		statsBadCounts: "perWord[\"{id}\"] の回数が正しくありません。",
+		statsTooManyCorrect: "perWord[\"{id}\"] の正解数が解答数を超えています。",
+		statsBadHighScore: "highScore が数値ではありません。",
+		// 単語リストとプロフィール
+		wordListNoName: "リストの名前を入力してください。",
+		wordListEmpty: "使える単語がありません (単語と意味が必要です)。",
+		wordListSaveFailed: "ブラウザに保存できませんでした。",
+		wordListMissing: "単語リスト「{name}」がありません。",
+		wordListNotJSON: "JSON として読み込めませんでした。",
+		// 単語データの検査 (validateWords / formatValidationReport)
+		validateSummary: "単語データ {count} 件: エラー {errors} 件 / 警告 {warnings} 件",
+		validateIssue: "[{level}] {message}",
+		validateError: "エラー",
+		validateWarning: "警告",
+		validateWhere: "{n} 件目 「{word}」",
+		validateWhereKey: "「{word}」",
+		validateUnreadable: "{n} 件目: 単語データとして読めない形式です。",
+		validateNoWord: "{where}: 単語がありません。",
+		validateNoMeaning: "{where}: 意味がありません。",
+		validateNoHint: "{where}: ヒントがありません。",
+		validateNoPOS: "{where}: 品詞がありません。",
+		validateUnknownPOS: "{where}: 品詞「{pos}」は一覧にありません。",
+		validateDuplicate: "{where}: {n} 件目と単語・品詞が重複しています ({id})。",
+		validateSimilarMeaning: "「{a}」と「{b}」({pos}) の意味が似ていて誤答に使いにくいです: {meaningA} / {meaningB}",
+		validateNoPOSLabel: "品詞なし",
+		// 結果の送信とセクション名
+		sinkFailed: "{failed} / {total} 件の送信に失敗しました: {error}",
+		sectionLabel: "セクション {id}",
+		profileMissing: "プロフィール「{id}」がありません。",
+		defaultProfile: "ゲスト",
+		// 品詞名の表示 (データの品詞名 → 表示名。ない品詞はそのまま)
+		posNames: {},
+	},
+	en: {
+		promptMeaning: "What does “{word}” mean?",
+		promptWord: "Which word means “{meaning}”?",
+		posText: "({pos})",
+		promptSense: " ({meaning})",
+		promptMorphemeForm: "Which {label} means “{gloss}”?",
+		promptMorphemeMeaning: "What does the {label} “{form}” mean?",
+		promptSuffixFunction: "What does the {label} “{form}” do?",
+		promptDerivationSuffix: "Which suffix turns “{base}” into a {pos}?",
+		promptDerivationForm: "What is the {pos} form of “{base}”?",
+		promptAntonym: "What is the opposite of “{word}”?",
+		promptPreposition: "Which preposition fills the blank: {word} ___ (“{sense}”)?",
+		promptListeningMeaning: "What does the word you heard mean?",
+		promptListeningWord: "Type the word you heard",
+		listeningResult: "🔊 {word}",
+		speak: "🔊",
+		speakLabel: "Listen",
+		morphemePrefix: "prefix",
+		morphemeRoot: "root",
+		morphemeSuffix: "suffix",
+		morphemeExamples: "e.g. {examples}",
+		next: "Next question",
+		results: "See results",
+		correct: "Correct!",
+		incorrect: "Not quite. The answer was “{answer}”.",
+		close: "Almost! The correct spelling is “{answer}”.",
+		timeUp: "Time's up! The answer was “{answer}”.",
+		annotation: " ({notes})",
+		noteAntonyms: "antonyms: {words}",
+		noteSynonyms: "synonyms: {words}",
+		notePrepositions: "prepositions: {words}",
+		noteHeard: "word: {word}",
+		hint: "Hint",
+		noHint: "(No hint for this word)",
+		hintLiteral: " → “{literal}”",
+		typedLabel: "Type the word",
+		typedSubmit: "Answer",
+		typedInput: "You typed: {input}",
+		noData: "No word data found. Load words-data.js or pass words to createQuiz.",
+		noDataChoice: "(no data)",
+		loadFailed: "Could not load the word data: {src}",
+		reviewMistakesStatus: "Reviewing mistakes: {number} / {total}",
+		reviewWeakStatus: "Reviewing weak words: {remaining} of {total} left (done after {streak} correct in a row)",
+		timerSession: "Time attack: {seconds} s left / {score} correct",
+		timerQuestion: "{seconds} s left",
+		timerSeparator: " · ",
+		resultsTitle: "Quiz results",
+		score: "Your score: {score} / {total}.",
+		highScore: " (best: {high} / {total})",
+		timeAttackScore: "Time attack: {score} correct in {seconds} s ({answered} answered).",
+		timeAttackHighScore: " (best: {high})",
+		averageTime: " Average answer time: {seconds} s",
+		bySection: "By section: {sections}",
+		listSeparator: ", ",
+		reviewMistakes: "Review mistakes",
+		reviewWeak: "Review weak words",
+		reviewWeakCount: "Review weak words ({count})",
+		exportCSV: "Save results as CSV",
+		restart: "Try again",
+		submitted: "Results sent.",
+		submitFailed: "Could not send the results. They will be sent again when you are back online.",
+		pending: "{count} unsent",
+		colQuestion: "Question",
+		colAnswer: "Answer",
+		colHint: "Hint",
+		colResponse: "Your answer",
+		colResult: "Result",
+		colHintUsed: "Hint used",
+		colWord: "Word",
+		colMeaning: "Meaning",
+		colPOS: "Part of speech",
+		colAttempts: "Answers",
+		colAccuracy: "Accuracy",
+		colCorrectOf: "Correct / answers",
+		colAvgTime: "Average time",
+		colHintOf: "Hints / answers",
+		yes: "yes",
+		no: "no",
+		formCorrect: "correct",
+		formIncorrect: "incorrect",
+		seconds: "{seconds} s",
+		posOther: "other",
+		statsButton: "Stats",
+		statsTitle: "Your progress",
+		statsClose: "Back",
+		statsEmpty: "No records yet. They will appear here after your first quiz.",
+		statsTotals: "Words studied: {words} / answers: {attempts} / quizzes: {sessions} / best score: {high}",
+		statsTimedTotals: "Best with time limit: {timed} / best time attack: {timeAttack}",
+		statsHistory: "Score history",
+		statsByPOS: "Accuracy by part of speech",
+		statsWeakest: "Weakest words (top {count})",
+		statsNoWeak: "No weak words.",
+		statsHintHeavy: "Words you often need hints for",
+		statsNoHintHeavy: "No words where you often use hints.",
+		statsExportJSON: "Export records (JSON)",
+		statsExportAnki: "Export weak words (Anki)",
+		statsImportMerge: "Import records and add",
+		statsImportReplace: "Import records and replace",
+		statsImported: "Imported ({sessions} quizzes / {words} words).",
+		statsImportFailed: "Could not import: {error}",
+		statsNotJSON: "The file is not valid JSON.",
+		statsWrongFormat: "This is not a records file from this quiz.",
+		statsNoData: "The file has no records.",
+		statsBadVersion: "Records version {version} is not valid.",
+		statsNewerVersion: "Records version {version} is newer than this quiz.",
+		statsAlreadyImported: "This records file has already been imported.",
+		statsOwnRecords: "These records were exported from the current records. Use “replace” to restore them.",
+		statsSessionsNotArray: "sessions is not an array.",
+		statsSessionIncomplete: "Some sessions have no ts / score / questionCount.",
+		statsItemsNotArray: "A session's items is not an array.",
+		statsPerWordNotObject: "perWord is not an object.",
+		statsBadCounts: "perWord[\"{id}\"] has invalid counts.",
+		statsTooManyCorrect: "perWord[\"{id}\"] has more correct answers than answers.",
+		statsBadHighScore: "highScore is not a number.",
+		wordListNoName: "Enter a name for the list.",
+		wordListEmpty: "No usable words (each needs a word and a meaning).",
+		wordListSaveFailed: "Could not save to the browser.",
+		wordListMissing: "There is no word list named “{name}”.",
+		wordListNotJSON: "The file is not valid JSON.",
+		validateSummary: "{count} words: {errors} errors / {warnings} warnings",
+		validateIssue: "[{level}] {message}",
+		validateError: "error",
+		validateWarning: "warning",
+		validateWhere: "Item {n} “{word}”",
+		validateWhereKey: "“{word}”",
+		validateUnreadable: "Item {n}: not readable as word data.",
+		validateNoWord: "{where}: no word.",
+		validateNoMeaning: "{where}: no meaning.",
+		validateNoHint: "{where}: no hint.",
+		validateNoPOS: "{where}: no part of speech.",
+		validateUnknownPOS: "{where}: the part of speech “{pos}” is not in the list.",
+		validateDuplicate: "{where}: same word and part of speech as item {n} ({id}).",
+		validateSimilarMeaning: "“{a}” and “{b}” ({pos}) have similar meanings and make poor distractors: {meaningA} / {meaningB}",
+		validateNoPOSLabel: "no part of speech",
+		sinkFailed: "{failed} of {total} submissions failed: {error}",
+		sectionLabel: "Section {id}",
+		profileMissing: "There is no profile “{id}”.",
+		defaultProfile: "Guest",
+		posNames: {
+			動詞: "verb",
+			名詞: "noun",
+			形容詞: "adjective",
+			副詞: "adverb",
+			名詞句: "noun phrase",
+			動詞句: "verb phrase",
+			形容詞句: "adjective phrase",
+			副詞句: "adverb phrase",
+			前置詞: "preposition",
+			接続詞: "conjunction",
+			代名詞: "pronoun",
+			助動詞: "auxiliary verb",
+			間投詞: "interjection",
+			熟語: "idiom",
+		},
+	},
+};
+
+/** Fill the {name} placeholders of a message; unknown placeholders are left as they are. */
+export function formatMessage(template, params) {
+	return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+		params && params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+	);
+}
+
+// options.texts overrides, then MESSAGES[options.locale], then MESSAGES.ja
+function catalogMessage(options, key, params) {
+	const texts = (options && options.texts) || {};
+	const catalog = MESSAGES[options && options.locale] || MESSAGES.ja;
+	const template = key in texts ? texts[key] : key in catalog ? catalog[key] : MESSAGES.ja[key];
+	return formatMessage(template === undefined ? key : template, params);
+}
 
+/**
+ * Quiz logic without any DOM access: word data, question selection, scoring and stats.
+ * Usable in Node, in tests or behind a different UI. createQuiz() renders it into the page.
+ */
+export function createQuizEngine(options = {}) {
 	/**
 	 * @typedef {Object} ResultItem
 	 * @property {string} question
@@ -23,58 +1017,169 @@ export function createQuiz(options = {}) {
 	 * @property {string} answer
 	 * @property {boolean} correct
 	 * @property {boolean} hintUsed
+	 * @property {"correct"|"close"|"incorrect"} grade  "close" = small typo in typed mode
+	 * @property {number} credit  1 / 0.5 / 0
+	 * @property {(string|number)=} section  section id of the word, when loaded from a section
+	 * @property {string} kind  question type that produced this item ("word", "morpheme", ...)
+	 * @property {string=} wordId  entry id of the word (see normalizeWords), key of stats.perWord
+	 * @property {string=} word    English headword of the entry
+	 * @property {string=} POS
+	 * @property {number=} ms        time from showing the question to the answer
+	 * @property {boolean=} timedOut  the countdown ran out (counted as incorrect)
+	 */
+
+	/**
+	 * @typedef {Object} Question
+	 * @property {string} kind          "word" | "morpheme" | "family" | "antonym" | "preposition" | "listening"
+	 * @property {Array|null} word      word entry for "word" questions
+	 * @property {number} index         index into cfg.words, or -1
+	 * @property {string} prompt        question text without the POS label
+	 * @property {string} posText       "（動詞）" etc. or ""
+	 * @property {string[]} choices
+	 * @property {number} correctIndex
+	 * @property {string} correctAnswer
+	 * @property {string} hint
+	 * @property {boolean} typed        answered by typing instead of choices
+	 * @property {(0|1)=} direction     0 = meaning → word, 1 = word → meaning ("word" questions)
+	 * @property {boolean=} listen      "listening": the word is spoken, not shown
 	 */
 
 	const defaults = {
 		// words-data may be provided via dynamic import or window.wordsList.
 		// Keep defaults empty here and populate during init to avoid static import problems.
 		words: [],
+		// window.wordsList / window.wordsMap を使うか。1 ページに複数のクイズを置くときは false にして
+		// 単語データをインスタンスごとに持たせる (<vocab-quiz> は false)
+		globalWords: true,
+		// 設定を学習者のプロフィールに保存し、次回に復元するか。false なら渡したオプションだけを使う
+		persistSettings: true,
+		// 出題するセクション id (例: [10] や "8-12")。空なら登録済みの全セクション
+		sections: [],
+		// セクション一覧 [{ id, label, src }]。未指定なら sectionManifest から読み込む
+		sectionRegistry: null,
+		sectionManifest: "./words-data-sections.js",
+		// 出題方向: 0 = 意味 → 英単語, 1 = 英単語 → 意味, "mixed" = 問題ごとにどちらか
 		mode: 1,
+		// "choice": 4択ボタン, "typed": 英単語を入力 (mode 0 のときのみ有効)
+		answerInput: "choice",
+		// 出題形式: "word" (単語と意味), "morpheme" (接頭辞・語根・接尾辞), "family" (派生語),
+		// "antonym" (反意語), "preposition" (語法の前置詞), "listening" (読み上げた単語の意味・綴り)。
+		// 配列なら問題ごとにランダム
+		questionType: "word",
+		// 選択肢の数 (2〜6)
 		selection: 4,
+		// 誤答の選び方: "easy" (関係のない単語), "normal" (同じ品詞・近い長さの単語から無作為),
+		// "hard" (語根・接頭辞が同じ、綴りが近い、意味が重なる紛らわしい単語)
+		difficulty: "normal",
+		// 出題する品詞 (例: ["動詞", "名詞"])。空ならすべて
+		posFilter: [],
+		// 乱数の seed。指定すると同じ seed・単語・設定で毎回同じ問題と選択肢の順になる
+		// (このとき spacedRepetition は使わない)。null なら回ごとに新しい seed
+		seed: null,
+		// ページの URL に共有リンクのパラメータ (?seed=...) があれば、その設定で出題する
+		readShareLink: true,
+		// false にするとヒントボタンを隠し、useHint() も使えなくする
+		hints: true,
+		// 読み上げ (SpeechLayer)。未指定ならブラウザの speechSynthesis、使えなければ読み上げなし
+		speech: null,
+		// 読み上げの速さ (0.5〜2) と声の名前 ("" ならブラウザの既定)
+		speechRate: 1,
+		speechVoice: "",
+		speechLang: "en-US",
 		questionCount: 5,
 		// enable verbose debugging in the browser console by passing { debug: true } to createQuiz
 		debug: false,
-		formUrl: "https://docs.google.com/forms/d/e/1FAIpQLSdABdWeTQhzQSSF6kcsSKEaqMtoOMAhA24CB_8N1r15whtz1g/formResponse",
+		// 結果の送信先 [googleFormSink(...), jsonPostSink(...)]。既定では送信しない
+		sinks: [],
+		// 互換用: formUrl を指定すると googleFormSink({ formUrl, entryIds }) を sinks に追加する
+		formUrl: "",
 		entryIds: {},
-		texts: {
-			next: "次の問題",
-			results: "結果を見る",
-			correctText: "正解です！",
-			incorrectPrefix: "不正解です。正解は「",
-			incorrectSuffix: "」でした。",
-		},
+		// 表示する言語 (MESSAGES のキー: "ja" | "en")
+		locale: "ja",
+		// メッセージを個別に差し替える { next: "つぎへ", incorrect: "正解は {answer}" }
+		texts: {},
 	};
 
 	const cfg = Object.assign({}, defaults, options);
 
+	// 以前の texts ({ correctText, incorrectPrefix, incorrectSuffix, ... }) を今のキーに読み替える
+	function upgradeTexts(texts) {
+		const out = Object.assign({}, texts);
+		if (out.correctText !== undefined && out.correct === undefined) out.correct = out.correctText;
+		["incorrect", "close", "timeUp"].forEach((key) => {
+			const prefix = out[`${key}Prefix`];
+			const suffix = out[`${key}Suffix`];
+			if ((prefix !== undefined || suffix !== undefined) && out[key] === undefined)
+				out[key] = `${prefix || ""}{answer}${suffix || ""}`;
+		});
+		return out;
+	}
+	cfg.texts = upgradeTexts(cfg.texts);
+
+	/**
+	 * Message for the current locale: cfg.texts overrides, then MESSAGES[cfg.locale], then MESSAGES.ja.
+	 * @param {string} key
+	 * @param {Object} [params]  values for the {name} placeholders
+	 */
+	function message(key, params) {
+		return catalogMessage(cfg, key, params);
+	}
+
+	// 品詞名を表示用に (en では "名詞" → "noun")
+	function posName(POS) {
+		const catalog = MESSAGES[cfg.locale] || MESSAGES.ja;
+		return (catalog.posNames && catalog.posNames[POS]) || POS;
+	}
+
+	function posText(POS) {
+		return POS ? message("posText", { pos: posName(POS) }) : "";
+	}
+
+	/** "接頭辞" / "語根" / "接尾辞" for a morpheme type */
+	function morphemeLabel(type) {
+		return message({ prefix: "morphemePrefix", root: "morphemeRoot", suffix: "morphemeSuffix" }[type] || type);
+	}
+
 	// 正規化: cfg.words が外部データ (objects 配列や window.wordsList) になっている場合に
-	// [word, meaning, hint] の配列に変換する
-	function normalizeWords(raw) {
+	// [word, meaning, hint, POS, meta] の配列に変換する
+	// meta はエントリごとの付加情報 (例: { id: "exhibit#動詞", section: 10, core, antonyms, … })。
+	// 引数 meta の内容がコピーされる
+	// id は明示された id、なければ「単語#品詞」。同じ綴りで品詞の違う語 (exhibit 動詞 / 名詞) を区別する
+	function normalizeWords(raw, meta = {}) {
 		if (!raw) return [];
-		// Normalize into array-of-arrays where each element is [word, meaning, hint, POS]
+		// Normalize into array-of-arrays where each element is [word, meaning, hint, POS, meta]
 		const out = [];
+		const push = (w, m, h, p, own) => {
+			// 意味の注記 (反意語・類義語・前置詞) は別フィールドに分けておく
+			const extra = Object.assign(parseMeaning(m), meta, own);
+			if (!extra.id) extra.id = `${w}#${p}`;
+			out.push([w, m, h, p, extra]);
+		};
 		if (Array.isArray(raw)) {
 			for (const item of raw) {
 				if (Array.isArray(item)) {
-					// accept arrays of length 1..4, pad missing fields with empty string
+					// accept arrays of length 1..5, pad missing fields with empty string
 					const w = item[0] || "";
 					const m = item[1] || "";
 					const h = item[2] || "";
 					const p = item[3] || "";
-					out.push([w, m, h, p]);
+					push(w, m, h, p, typeof item[4] === "object" ? item[4] : undefined);
 				} else if (typeof item === "object" && item !== null) {
 					// two possible object shapes:
 					// 1) { word: "insist", meaning:"..", hint: "..", POS: "動詞" }
 					// 2) { "insist": { meaning, hint, POS } }
 					if (typeof item.word === "string") {
-						out.push([item.word || "", item.meaning || "", item.hint || "", item.POS || ""]);
+						const own = {};
+						if (item.section !== undefined) own.section = item.section;
+						if (item.id) own.id = String(item.id);
+						push(item.word || "", item.meaning || "", item.hint || "", item.POS || "", own);
 					} else {
 						const key = Object.keys(item)[0];
 						const v = item[key] || {};
-						out.push([key, v.meaning || "", v.hint || "", v.POS || ""]);
+						push(key, v.meaning || "", v.hint || "", v.POS || "", v.id ? { id: String(v.id) } : undefined);
 					}
 				} else if (typeof item === "string") {
-					out.push([item, "", "", ""]);
+					push(item, "", "", "");
 				} else {
 					// unknown item type -> skip
 				}
@@ -85,109 +1190,1006 @@ export function createQuiz(options = {}) {
 		if (typeof raw === "object") {
 			for (const key of Object.keys(raw)) {
 				const v = raw[key] || {};
-				out.push([key, v.meaning || "", v.hint || "", v.POS || ""]);
+				push(key, v.meaning || "", v.hint || "", v.POS || "", v.id ? { id: String(v.id) } : undefined);
 			}
 			return out;
 		}
 		return out;
 	}
 
+	// page-wide word data (legacy pages publish window.wordsList / window.wordsMap); null when cfg.globalWords is off
+	function globalWordsList() {
+		if (!cfg.globalWords || typeof window === "undefined") return null;
+		return Array.isArray(window.wordsList) ? window.wordsList : null;
+	}
+
+	function globalWordsMap() {
+		if (!cfg.globalWords || typeof window === "undefined") return null;
+		return window.wordsMap || null;
+	}
+
 	// If user didn't pass words, but page provides window.wordsList, use it
 	if (!cfg.words || (Array.isArray(cfg.words) && cfg.words.length === 0)) {
-		if (
-			typeof window !== "undefined" &&
-			window.wordsList &&
-			Array.isArray(window.wordsList)
-		)
-			cfg.words = window.wordsList;
+		if (globalWordsList()) cfg.words = globalWordsList();
 	}
 
 	cfg.words = normalizeWords(cfg.words || defaults.words);
 	// improvement flags
+	// spacedRepetition: perWord の due / ease を使って出題順を決める (SM-2 風)
+	// avoidSimilarDistractors: difficulty "normal" のとき紛らわしい単語を誤答にしない (easy に近い)
 	cfg.improvements = Object.assign(
-		{ avoidSimilarDistractors: false },
+		{ avoidSimilarDistractors: false, spacedRepetition: false },
 		cfg.improvements || {}
 	);
+	// timed: null | "countdown" (timeLimit 秒で時間切れ = 不正解) | "timeAttack" (timeAttackSeconds 秒で何問解けるか)
+	cfg.timeLimit = cfg.timeLimit > 0 ? cfg.timeLimit : 10;
+	cfg.timeAttackSeconds = cfg.timeAttackSeconds > 0 ? cfg.timeAttackSeconds : 60;
+	// 復習モード: threshold 未満の正答率、または hintRate 以上の割合でヒントを使った単語を
+	// maxWords 語まで選び、streak 回続けて正解するまで出題する
+	cfg.review = Object.assign({ threshold: 0.7, hintRate: 0.5, maxWords: 20, streak: 2 }, cfg.review || {});
+
+	// 設定パネルや保存済みの設定から来た値を使える形にそろえる
+	function normalizeSettings() {
+		if (cfg.mode !== "mixed") cfg.mode = Number(cfg.mode) === 0 ? 0 : 1;
+		cfg.selection = Math.min(6, Math.max(2, parseInt(cfg.selection, 10) || 4));
+		if (!["easy", "normal", "hard"].includes(cfg.difficulty)) cfg.difficulty = "normal";
+		cfg.posFilter = Array.isArray(cfg.posFilter) ? cfg.posFilter.filter(Boolean) : [];
+		cfg.hints = cfg.hints !== false;
+		cfg.speechRate = Math.min(2, Math.max(0.5, Number(cfg.speechRate) || 1));
+		cfg.speechVoice = cfg.speechVoice ? String(cfg.speechVoice) : "";
+		if (!cfg.speech) cfg.speech = webSpeech();
+	}
+	normalizeSettings();
 
 	// --- persistence: localStorage key and helper functions ---
+	// stats are stored per learner profile under "quiz_module_stats_v1:<profile id>" (see statsKey).
+	// The key name is kept from the first release; the schema version lives in stats.version.
 	const STORAGE_KEY = "quiz_module_stats_v1";
 
+	/**
+	 * Stored stats, schema version 3.
+	 * @typedef {Object} StoredStats
+	 * @property {number} version
+	 * @property {SessionRecord[]} sessions
+	 * @property {Object<string, Object>} perWord      keyed by word id (attempts, correct, hintUsed, streak, ...)
+	 * @property {Object<string, Object>=} legacyPerWord  v1 records keyed by answer text, not yet matched to a word id
+	 * @property {string} id                 identifies these records in exports (a merge never adds them to themselves)
+	 * @property {string[]=} importedExports  exportId of every file merged in, so the same file is not counted twice
+	 * @property {Object<string, { attempts: number, correct: number }>} perSection
+	 * @property {number} highScore
+	 * @property {{ timed?: number, timeAttack?: number }=} highScores
+	 */
+
+	/**
+	 * @typedef {Object} SessionRecord
+	 * @property {number} ts
+	 * @property {number} score
+	 * @property {number} questionCount
+	 * @property {string} mode   "normal" | "timed" | "timeAttack" | "mistakes" | "weak"
+	 * @property {{ mode: number, questionType: (string|string[]), answerInput: string }=} format
+	 * @property {{ wordList?: string, sections?: (string|number)[], custom?: boolean, words: number }=} wordSet
+	 * @property {(string|number)[]=} sections   sections of the answered words
+	 * @property {number=} hintsUsed
+	 * @property {{ id: string, kind: string, correct: boolean, grade: string, hintUsed: boolean,
+	 *   ms?: number, timedOut?: boolean }[]=} items   per-question results (newest SESSION_DETAIL_LIMIT sessions only)
+	 */
+
+	const STATS_VERSION = 3;
+	// 詳細 (items) を残すセッション数。古いものは点数だけ残して容量を抑える
+	const SESSION_DETAIL_LIMIT = 200;
+
+	// STATS_MIGRATIONS[n] turns version n stats into version n + 1 (data without a version is version 1)
+	const STATS_MIGRATIONS = {
+		// v1 -> v2: session.type を session.mode にする (通常の回は "normal")
+		1(stats) {
+			stats.sessions = (stats.sessions || []).map((s) => {
+				const session = Object.assign({}, s, { mode: s.type || "normal" });
+				delete session.type;
+				return session;
+			});
+			stats.perWord = stats.perWord || {};
+			stats.perSection = stats.perSection || {};
+			stats.highScore = stats.highScore || 0;
+			return stats;
+		},
+		// v2 -> v3: 最初の版は単語ごとの記録を正答のテキスト (mode 0 なら英単語、mode 1 なら意味) で
+		// 保存していた。id ("単語#品詞") でないキーは legacyPerWord に移し、単語データを読み込んだ
+		// ときに id へ付け替える (adoptLegacyWords)
+		2(stats) {
+			const perWord = {};
+			const legacy = Object.assign({}, stats.legacyPerWord);
+			for (const key of Object.keys(stats.perWord || {})) {
+				if (key.includes("#")) perWord[key] = stats.perWord[key];
+				else legacy[key] = legacy[key] ? mergeWordRecord(legacy[key], stats.perWord[key]) : stats.perWord[key];
+			}
+			stats.perWord = perWord;
+			if (Object.keys(legacy).length > 0) stats.legacyPerWord = legacy;
+			if (!stats.id) stats.id = newSessionId();
+			return stats;
+		},
+	};
+
+	/**
+	 * Add the counts of one per-word record to another (both for the same word).
+	 * The review schedule is taken from the record that was reviewed last.
+	 * @returns {Object} cur
+	 */
+	function mergeWordRecord(cur, w) {
+		cur.attempts = (cur.attempts || 0) + (w.attempts || 0);
+		cur.correct = (cur.correct || 0) + (w.correct || 0);
+		cur.hintUsed = (cur.hintUsed || 0) + (w.hintUsed || 0);
+		["close", "totalMs", "timedAnswers"].forEach((k) => {
+			if (w[k]) cur[k] = (cur[k] || 0) + w[k];
+		});
+		["word", "POS", "section"].forEach((k) => {
+			if (cur[k] === undefined && w[k] !== undefined) cur[k] = w[k];
+		});
+		if ((w.lastReviewed || 0) > (cur.lastReviewed || 0))
+			["reps", "interval", "ease", "due", "lastReviewed", "streak", "lastMs"].forEach((k) => {
+				if (w[k] !== undefined) cur[k] = w[k];
+			});
+		return cur;
+	}
+
+	/**
+	 * Move legacyPerWord records onto the ids of the loaded words: a key is matched against
+	 * the entry ids, then the English word, then the meaning (as written, or its core sense). The first
+	 * version did not tell parts of speech apart, so a word with several entries
+	 * (exhibit 動詞 / 名詞) goes to the first one. Keys that match nothing stay in
+	 * legacyPerWord for a later word list.
+	 * @returns {boolean} whether anything was moved
+	 */
+	function adoptLegacyWords(stats) {
+		const legacy = stats.legacyPerWord;
+		if (!legacy || !cfg.words || cfg.words.length === 0) return false;
+		const byText = new Map();
+		// 明示的な id ("#" を含まない) もここで元に戻す
+		[(w) => wordId(w), (w) => w[0], (w) => w[1], (w) => meaningOf(w)].forEach((field) => {
+			cfg.words.forEach((w) => {
+				const text = field(w);
+				if (text && wordId(w) && !byText.has(text)) byText.set(text, w);
+			});
+		});
+		let moved = false;
+		for (const key of Object.keys(legacy)) {
+			const w = byText.get(key);
+			if (!w) continue;
+			const id = wordId(w);
+			const record = Object.assign({}, legacy[key], { word: w[0], POS: w[3] || undefined });
+			if (wordSection(w) !== undefined) record.section = wordSection(w);
+			stats.perWord[id] = stats.perWord[id] ? mergeWordRecord(stats.perWord[id], record) : record;
+			delete legacy[key];
+			moved = true;
+		}
+		if (Object.keys(legacy).length === 0) delete stats.legacyPerWord;
+		return moved;
+	}
+
+	function emptyStats() {
+		return { version: STATS_VERSION, id: newSessionId(), sessions: [], perWord: {}, perSection: {}, highScore: 0 };
+	}
+
+	// throws when the stats are from a newer version or cannot be migrated
+	function migrateStats(stats) {
+		if (!stats || typeof stats !== "object" || Array.isArray(stats)) throw new Error(message("statsNoData"));
+		let version = stats.version === undefined ? 1 : stats.version;
+		if (!Number.isInteger(version) || version < 1) throw new Error(message("statsBadVersion", { version }));
+		if (version > STATS_VERSION) throw new Error(message("statsNewerVersion", { version }));
+		while (version < STATS_VERSION) {
+			stats = STATS_MIGRATIONS[version](stats);
+			version += 1;
+			stats.version = version;
+		}
+		return stats;
+	}
+
+	// 読めない記録は消さずに "<key>:backup:<時刻>" に退避してから空の記録で始める
+	function backupStats(raw, reason) {
+		const key = `${statsKey()}:backup:${Date.now()}`;
+		try {
+			window.localStorage.setItem(key, JSON.stringify({ reason, savedAt: new Date().toISOString(), raw }));
+			window.localStorage.setItem(statsKey(), JSON.stringify(emptyStats()));
+			console.warn(`学習記録を読み込めなかったため ${key} に退避しました: ${reason}`);
+		} catch (e) {
+			// without room for the backup the original data is left where it is
+		}
+	}
+
+	/** @returns {StoredStats} */
 	function loadStats() {
-		if (typeof window === "undefined" || !window.localStorage) return { sessions: [], perWord: {}, highScore: 0 };
+		let raw = null;
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return emptyStats();
+			raw = window.localStorage.getItem(statsKey());
+		} catch (e) {
+			return emptyStats();
+		}
+		if (!raw) return emptyStats();
+		let stats;
 		try {
-			const raw = window.localStorage.getItem(STORAGE_KEY);
-			if (!raw) return { sessions: [], perWord: {}, highScore: 0 };
-			return JSON.parse(raw);
+			const parsed = JSON.parse(raw);
+			const from = parsed && parsed.version;
+			stats = migrateStats(parsed);
+			const error = validateStats(stats);
+			if (error) throw new Error(error);
+			const adopted = adoptLegacyWords(stats);
+			if (from !== STATS_VERSION || adopted) saveStats(stats);
 		} catch (e) {
-			try { window.localStorage.removeItem(STORAGE_KEY); } catch (e2) {}
-			return { sessions: [], perWord: {}, highScore: 0 };
+			backupStats(raw, e.message);
+			return emptyStats();
 		}
+		return stats;
+	}
+
+	/** localStorage keys of the active profile's backed-up stats, oldest first. */
+	function getStatsBackups() {
+		const prefix = `${statsKey()}:backup:`;
+		const keys = [];
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return keys;
+			for (let i = 0; i < window.localStorage.length; i++) {
+				const key = window.localStorage.key(i);
+				if (key && key.startsWith(prefix)) keys.push(key);
+			}
+		} catch (e) {}
+		return keys.sort((a, b) => Number(a.slice(prefix.length)) - Number(b.slice(prefix.length)));
 	}
 
 	function saveStats(s) {
-		if (typeof window === "undefined" || !window.localStorage) return;
 		try {
-			window.localStorage.setItem(STORAGE_KEY, JSON.stringify(s));
+			if (typeof window === "undefined" || !window.localStorage) return;
+			window.localStorage.setItem(statsKey(), JSON.stringify(s));
 		} catch (e) {
 			// Storage may be full or blocked; ignore silently
 		}
 	}
 
-	function updateStatsWithSession(results, questionCount) {
+	// sessionType: "mistakes" | "weak" for review sessions, which do not count for a high score;
+	// "timed" | "timeAttack" keep their own high score in stats.highScores
+	function updateStatsWithSession(results, questionCount, sessionType) {
 		const stats = loadStats();
-		const correct = results.filter((r) => r.correct).length;
-		const session = { ts: Date.now(), score: correct, questionCount };
-		stats.sessions = stats.sessions || [];
-		stats.perWord = stats.perWord || {};
+		const correct = sessionScore(results);
+		/** @type {SessionRecord} */
+		const session = {
+			ts: Date.now(),
+			score: correct,
+			questionCount,
+			mode: sessionType || "normal",
+			format: { mode: cfg.mode, questionType: cfg.questionType, answerInput: cfg.answerInput },
+			wordSet: currentWordSet(),
+			hintsUsed: results.filter((r) => r.hintUsed).length,
+			items: results.map((r) => {
+				const item = {
+					id: r.wordId || r.correctAnswer || r.question,
+					kind: r.kind || "word",
+					correct: !!r.correct,
+					grade: r.grade || (r.correct ? "correct" : "incorrect"),
+					hintUsed: !!r.hintUsed,
+				};
+				if (typeof r.ms === "number") item.ms = r.ms;
+				if (r.timedOut) item.timedOut = true;
+				return item;
+			}),
+		};
+		const sections = Array.from(new Set(results.filter((r) => r.section !== undefined).map((r) => r.section)));
+		if (sections.length > 0) session.sections = sections;
 		stats.sessions.push(session);
-		if (!stats.highScore || correct > stats.highScore) stats.highScore = correct;
+		stats.sessions.slice(0, -SESSION_DETAIL_LIMIT).forEach((s) => delete s.items);
+		if (!sessionType && (!stats.highScore || correct > stats.highScore)) stats.highScore = correct;
+		if (sessionType === "timed" || sessionType === "timeAttack") {
+			stats.highScores = stats.highScores || {};
+			if (!stats.highScores[sessionType] || correct > stats.highScores[sessionType]) stats.highScores[sessionType] = correct;
+		}
 
+		const now = session.ts;
 		for (const r of results) {
-			const key = r.correctAnswer || r.question || "<unknown>";
+			// 語源 (morpheme) などの問題は単語ごとの記録に含めない
+			if (r.kind && r.kind !== "word" && r.kind !== "listening") continue;
+			// 単語ごとの記録はエントリ id (例: "exhibit#名詞") をキーにする
+			const key = r.wordId || r.correctAnswer || r.question || "<unknown>";
 			if (!stats.perWord[key]) stats.perWord[key] = { attempts: 0, correct: 0, hintUsed: 0 };
+			if (r.word) stats.perWord[key].word = r.word;
+			if (r.POS) stats.perWord[key].POS = r.POS;
 			stats.perWord[key].attempts += 1;
 			if (r.correct) stats.perWord[key].correct += 1;
+			// 連続正解数。苦手な単語の復習から外す判定に使う
+			stats.perWord[key].streak = r.correct ? (stats.perWord[key].streak || 0) + 1 : 0;
+			if (r.grade === "close") stats.perWord[key].close = (stats.perWord[key].close || 0) + 1;
+			if (r.section !== undefined) {
+				stats.perWord[key].section = r.section;
+				const sec = (stats.perSection[r.section] = stats.perSection[r.section] || { attempts: 0, correct: 0 });
+				sec.attempts += 1;
+				if (r.correct) sec.correct += 1;
+			}
 			if (r.hint && r.hint.length > 0 && r.hintUsed) stats.perWord[key].hintUsed += 1;
+			// 解答時間 (時間切れは除く): 平均は totalMs / timedAnswers
+			if (typeof r.ms === "number" && !r.timedOut) {
+				stats.perWord[key].totalMs = (stats.perWord[key].totalMs || 0) + r.ms;
+				stats.perWord[key].timedAnswers = (stats.perWord[key].timedAnswers || 0) + 1;
+				stats.perWord[key].lastMs = r.ms;
+			}
+			// 間隔反復用のスケジュールは常に記録しておき、出題に使うかは設定で切り替える
+			scheduleReview(stats.perWord[key], reviewQuality(r), now);
 		}
 
 		saveStats(stats);
 		return stats;
 	}
 
-	// state
-	let count = 0;
-	/** @type {ResultItem[]} */
-	let results = [];
-	let hintUsed = false;
-	let currentQuestion = null;
-	let usedWords = [];
-	let correctAnswerIndex = -1;
+	// where the session's words came from
+	function currentWordSet() {
+		const wordSet = { words: cfg.words.length };
+		if (loadedWordList) wordSet.wordList = loadedWordList;
+		else if (ownWords) wordSet.custom = true;
+		else wordSet.sections = parseSectionSpec(cfg.sections) || [];
+		return wordSet;
+	}
 
-	// --- indexing for performance (large word-lists) ---
-	let indexBuilt = false;
-	const wordIndexMap = { byPOS: Object.create(null), byLen: Object.create(null) };
+	/**
+	 * @typedef {Object} WordStatRow
+	 * @property {string} id
+	 * @property {string} word
+	 * @property {string} POS
+	 * @property {number} attempts
+	 * @property {number} correct
+	 * @property {number} hintUsed
+	 * @property {number} accuracy   0..1
+	 * @property {number} hintRate   0..1
+	 * @property {number|null} avgMs  average response time
+	 */
 
-	function buildIndex() {
-		indexBuilt = false;
-		wordIndexMap.byPOS = Object.create(null);
-		wordIndexMap.byLen = Object.create(null);
-		for (let i = 0; i < cfg.words.length; i++) {
-			const w = cfg.words[i] || [];
-			const POS = w[3] || "";
-			if (POS) {
-				wordIndexMap.byPOS[POS] = wordIndexMap.byPOS[POS] || [];
-				wordIndexMap.byPOS[POS].push(i);
-			}
-			const text = (w[cfg.mode] || "") + "";
-			const len = text.length || 0;
-			wordIndexMap.byLen[len] = wordIndexMap.byLen[len] || [];
-			wordIndexMap.byLen[len].push(i);
-		}
-		indexBuilt = true;
+	/** @returns {WordStatRow[]} rows for the words that have been answered at least once */
+	function wordStatRows(perWord) {
+		return Object.keys(perWord)
+			.map((id) => {
+				const w = perWord[id];
+				const attempts = w.attempts || 0;
+				return {
+					id,
+					word: w.word || id.split("#")[0],
+					POS: w.POS || (id.includes("#") ? id.split("#")[1] : ""),
+					attempts,
+					correct: w.correct || 0,
+					hintUsed: w.hintUsed || 0,
+					accuracy: attempts ? (w.correct || 0) / attempts : 0,
+					hintRate: attempts ? (w.hintUsed || 0) / attempts : 0,
+					avgMs: w.timedAnswers ? Math.round(w.totalMs / w.timedAnswers) : null,
+				};
+			})
+			.filter((r) => r.attempts > 0);
 	}
 
-	function getCandidateDistractorIndices(wordIndex) {
-		if (!indexBuilt) buildIndex();
+	/**
+	 * Figures for the stats screen, computed from the stored stats.
+	 * @param {{ limit?: number }} [opts]  length of the weakest / hint lists (default 20)
+	 * @returns {{ totalSessions: number, totalWords: number, totalAttempts: number, highScore: number,
+	 *   highScores: { timed: number, timeAttack: number },
+	 *   history: { ts: number, score: number, questionCount: number, ratio: number, mode: string }[],
+	 *   byPOS: { POS: string, attempts: number, correct: number, accuracy: number }[],
+	 *   weakest: WordStatRow[], hintHeavy: WordStatRow[] }}
+	 */
+	function getStatsSummary(opts = {}) {
+		const limit = opts.limit || 20;
+		const stats = loadStats();
+		const history = (stats.sessions || [])
+			.filter((s) => s && s.questionCount > 0)
+			.map((s) => ({ ts: s.ts, score: s.score, questionCount: s.questionCount, ratio: s.score / s.questionCount, mode: s.mode }));
+		const rows = wordStatRows(stats.perWord || {});
+
+		const posMap = {};
+		rows.forEach((r) => {
+			const key = r.POS || message("posOther");
+			const p = (posMap[key] = posMap[key] || { POS: key, attempts: 0, correct: 0, accuracy: 0 });
+			p.attempts += r.attempts;
+			p.correct += r.correct;
+		});
+		const byPOS = Object.keys(posMap)
+			.map((k) => Object.assign(posMap[k], { accuracy: posMap[k].correct / posMap[k].attempts }))
+			.sort((a, b) => b.attempts - a.attempts);
+
+		// 正答率の低い順。同じなら挑戦回数の多い順
+		const weakest = rows
+			.filter((r) => r.accuracy < 1)
+			.sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+			.slice(0, limit);
+		// ヒントを半分以上の回で使った単語
+		const hintHeavy = rows
+			.filter((r) => r.hintUsed > 0 && r.hintRate >= 0.5)
+			.sort((a, b) => b.hintRate - a.hintRate || b.hintUsed - a.hintUsed)
+			.slice(0, limit);
+
+		return {
+			totalSessions: history.length,
+			totalWords: rows.length,
+			totalAttempts: rows.reduce((sum, r) => sum + r.attempts, 0),
+			highScore: stats.highScore || 0,
+			highScores: Object.assign({ timed: 0, timeAttack: 0 }, stats.highScores),
+			history,
+			byPOS,
+			weakest,
+			hintHeavy,
+		};
+	}
+
+	// ---- export / import ----
+
+	const EXPORT_FORMAT = "quiz_module_stats";
+
+	/** Full stats object as a JSON string, wrapped with a format tag for importStats(). */
+	function exportStats() {
+		return JSON.stringify(
+			{ format: EXPORT_FORMAT, version: 1, exportId: newSessionId(), exportedAt: new Date().toISOString(), stats: loadStats() },
+			null,
+			2
+		);
+	}
+
+	const isCount = (v) => typeof v === "number" && isFinite(v) && v >= 0;
+
+	// returns an error message, or "" when the stats object can be imported
+	function validateStats(stats) {
+		if (!stats || typeof stats !== "object" || Array.isArray(stats)) return message("statsNoData");
+		if (stats.sessions !== undefined && !Array.isArray(stats.sessions)) return message("statsSessionsNotArray");
+		for (const s of stats.sessions || []) {
+			if (!s || !isCount(s.ts) || !isCount(s.score) || !isCount(s.questionCount)) return message("statsSessionIncomplete");
+			if (s.items !== undefined && !Array.isArray(s.items)) return message("statsItemsNotArray");
+		}
+		if (stats.perWord !== undefined && (typeof stats.perWord !== "object" || Array.isArray(stats.perWord)))
+			return message("statsPerWordNotObject");
+		for (const id of Object.keys(stats.perWord || {})) {
+			const w = stats.perWord[id];
+			if (!w || !isCount(w.attempts) || !isCount(w.correct || 0) || !isCount(w.hintUsed || 0))
+				return message("statsBadCounts", { id });
+			if ((w.correct || 0) > w.attempts) return message("statsTooManyCorrect", { id });
+		}
+		if (stats.highScore !== undefined && !isCount(stats.highScore)) return message("statsBadHighScore");
+		return "";
+	}
+
+	// 2 台の端末の記録を足し合わせる。復習スケジュールは最後に復習した側を使う
+	function mergeStats(base, extra) {
+		const out = JSON.parse(JSON.stringify(base));
+		out.version = STATS_VERSION;
+		out.sessions = out.sessions || [];
+		out.perWord = out.perWord || {};
+		out.perSection = out.perSection || {};
+		const seen = new Set(out.sessions.map((s) => `${s.ts}:${s.score}:${s.questionCount}`));
+		for (const s of extra.sessions || []) {
+			const key = `${s.ts}:${s.score}:${s.questionCount}`;
+			if (seen.has(key)) continue;
+			seen.add(key);
+			out.sessions.push(s);
+		}
+		out.sessions.sort((a, b) => a.ts - b.ts);
+		for (const id of Object.keys(extra.perWord || {})) {
+			const w = extra.perWord[id];
+			out.perWord[id] = out.perWord[id] ? mergeWordRecord(out.perWord[id], w) : Object.assign({}, w);
+		}
+		for (const key of Object.keys(extra.legacyPerWord || {})) {
+			const legacy = (out.legacyPerWord = out.legacyPerWord || {});
+			const w = extra.legacyPerWord[key];
+			legacy[key] = legacy[key] ? mergeWordRecord(legacy[key], w) : Object.assign({}, w);
+		}
+		for (const id of Object.keys(extra.perSection || {})) {
+			const sec = (out.perSection[id] = out.perSection[id] || { attempts: 0, correct: 0 });
+			sec.attempts += extra.perSection[id].attempts || 0;
+			sec.correct += extra.perSection[id].correct || 0;
+		}
+		const imported = new Set([].concat(out.importedExports || [], extra.importedExports || []));
+		if (imported.size > 0) out.importedExports = Array.from(imported);
+		out.highScore = Math.max(out.highScore || 0, extra.highScore || 0);
+		["timed", "timeAttack"].forEach((type) => {
+			const score = Math.max((out.highScores || {})[type] || 0, (extra.highScores || {})[type] || 0);
+			if (score > 0) out.highScores = Object.assign(out.highScores || {}, { [type]: score });
+		});
+		return out;
+	}
+
+	/**
+	 * Import stats exported by exportStats() (a bare stats object is accepted too).
+	 * "merge" adds the counts to the current stats, "replace" overwrites them. A merge
+	 * refuses a file that was merged before or that holds these same records.
+	 * @param {string|Object} data
+	 * @param {{ mode?: "merge"|"replace" }} [opts]
+	 * @returns {{ ok: boolean, error?: string, sessions?: number, words?: number }}
+	 */
+	function importStats(data, opts = {}) {
+		let parsed = data;
+		if (typeof data === "string") {
+			try {
+				parsed = JSON.parse(data);
+			} catch (e) {
+				return { ok: false, error: message("statsNotJSON") };
+			}
+		}
+		let exportId = "";
+		if (parsed && parsed.format !== undefined) {
+			if (parsed.format !== EXPORT_FORMAT) return { ok: false, error: message("statsWrongFormat") };
+			exportId = typeof parsed.exportId === "string" ? parsed.exportId : "";
+			parsed = parsed.stats;
+		}
+		// 古い版で書き出したファイルも今の形にそろえてから取り込む
+		if (parsed && typeof parsed === "object") {
+			try {
+				parsed = migrateStats(JSON.parse(JSON.stringify(parsed)));
+			} catch (e) {
+				return { ok: false, error: e.message };
+			}
+		}
+		const error = validateStats(parsed);
+		if (error) return { ok: false, error };
+		let stats = parsed;
+		if (opts.mode !== "replace") {
+			// 同じファイルや自分の記録を足すと回数が二重になるので断る
+			const current = loadStats();
+			if (parsed.id && parsed.id === current.id) return { ok: false, error: message("statsOwnRecords") };
+			if (exportId && (current.importedExports || []).includes(exportId))
+				return { ok: false, error: message("statsAlreadyImported") };
+			stats = mergeStats(current, parsed);
+			if (exportId) stats.importedExports = (stats.importedExports || []).concat(exportId);
+		}
+		stats.sessions = stats.sessions || [];
+		stats.perWord = stats.perWord || {};
+		saveStats(stats);
+		return { ok: true, sessions: stats.sessions.length, words: Object.keys(stats.perWord).length };
+	}
+
+	function csvCell(value) {
+		const text = value === undefined || value === null ? "" : String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+
+	/** Current session's results table (問題, 正答, ヒント, 解答, 正誤, ヒント使用) as CSV. */
+	function resultsToCSV() {
+		const rows = [["colQuestion", "colAnswer", "colHint", "colResponse", "colResult", "colHintUsed"].map((key) => message(key))];
+		results.forEach((r) => {
+			rows.push([
+				r.question,
+				r.correctAnswer,
+				r.hint,
+				r.answer,
+				r.correct ? "○" : r.grade === "close" ? "△" : "×",
+				message(r.hintUsed ? "yes" : "no"),
+			]);
+		});
+		return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+	}
+
+	/**
+	 * Weakest words as an Anki import file (tab separated: 単語, 意味, ヒント).
+	 * Words that are not in the loaded word list get their meaning left empty.
+	 */
+	function weakWordsToAnkiTSV(limit = 20) {
+		const byId = {};
+		cfg.words.forEach((w) => {
+			const id = wordId(w);
+			if (id) byId[id] = w;
+		});
+		const clean = (s) => String(s || "").replace(/[\t\r\n]+/g, " ").trim();
+		const lines = ["#separator:tab", "#html:false", `#columns:${[message("colWord"), message("colMeaning"), message("colHint")].join("\t")}`];
+		getStatsSummary({ limit }).weakest.forEach((row) => {
+			const w = byId[row.id];
+			const meaning = w ? meaningOf(w) + posText(w[3]) : posText(row.POS);
+			lines.push([clean(row.word), clean(meaning), clean(w ? w[2] : "")].join("\t"));
+		});
+		return lines.join("\n") + "\n";
+	}
+
+	// ---- 復習モード: 間違えた単語だけ / 苦手な単語を 2 回続けて正解するまで ----
+
+	/**
+	 * @typedef {Object} ReviewState
+	 * @property {"mistakes"|"weak"} type
+	 * @property {number[]} indices       word indices in cfg.words
+	 * @property {Object<number, number>} streak   correct answers in a row in this session
+	 * @property {Set<number>} asked
+	 * @property {number} last            index asked last, so the same word is not asked twice in a row
+	 */
+
+	/** @type {ReviewState|null} */
+	let review = null;
+
+	function reviewRemaining() {
+		if (!review) return [];
+		return review.type === "mistakes"
+			? review.indices.filter((i) => !review.asked.has(i))
+			: review.indices.filter((i) => (review.streak[i] || 0) < cfg.review.streak);
+	}
+
+	function chooseReviewIndex() {
+		const remaining = reviewRemaining();
+		const pool = remaining.length > 1 ? remaining.filter((i) => i !== review.last) : remaining;
+		const chosen = pool[getRandomInt(pool.length)];
+		review.last = chosen;
+		review.asked.add(chosen);
+		return chosen;
+	}
+
+	function trackReviewAnswer(result) {
+		if (!review || !currentQuestion || currentQuestion.index < 0) return;
+		const i = currentQuestion.index;
+		review.streak[i] = result.correct ? (review.streak[i] || 0) + 1 : 0;
+	}
+
+	function indicesOfIds(ids) {
+		const wanted = new Set(ids);
+		const out = [];
+		cfg.words.forEach((w, i) => {
+			if (wanted.has(wordId(w))) out.push(i);
+		});
+		return out;
+	}
+
+	/**
+	 * Words for the weak-word review: accuracy below cfg.review.threshold, or a hint
+	 * used in at least cfg.review.hintRate of the answers. Words answered correctly
+	 * cfg.review.streak times in a row since then are left out.
+	 * @returns {WordStatRow[]} weakest first, at most cfg.review.maxWords
+	 */
+	function getReviewCandidates() {
+		const perWord = loadStats().perWord || {};
+		const loaded = new Set(cfg.words.map(wordId));
+		return wordStatRows(perWord)
+			.filter((r) => loaded.has(r.id))
+			.filter((r) => r.accuracy < cfg.review.threshold || r.hintRate >= cfg.review.hintRate)
+			.filter((r) => (perWord[r.id].streak || 0) < cfg.review.streak)
+			.sort((a, b) => a.accuracy - b.accuracy || b.hintRate - a.hintRate)
+			.slice(0, cfg.review.maxWords);
+	}
+
+	function startReviewSession(type, indices) {
+		if (indices.length === 0) return null;
+		resetSession();
+		review = { type, indices, streak: {}, asked: new Set(), last: -1 };
+		if (!indexBuilt) buildIndex();
+		return changeQuestion();
+	}
+
+	/**
+	 * Start a quiz with only the words answered incorrectly in the last session.
+	 * @returns {Question|null} null when there was nothing to review
+	 */
+	function startMistakesReview() {
+		const ids = results.filter((r) => !r.correct && r.wordId).map((r) => r.wordId);
+		return startReviewSession("mistakes", indicesOfIds(ids));
+	}
+
+	/**
+	 * Start the weak-word review (see getReviewCandidates). It keeps asking until
+	 * every word has been answered correctly cfg.review.streak times in a row.
+	 * @returns {Question|null} null when there are no weak words
+	 */
+	function startWeakReview() {
+		return startReviewSession("weak", indicesOfIds(getReviewCandidates().map((r) => r.id)));
+	}
+
+	// 予定の問題数。苦手な単語の復習とタイムアタックでは決まっていないので null
+	function plannedCount() {
+		if (timeAttackActive()) return null;
+		if (!review) return cfg.questionCount;
+		return review.type === "mistakes" ? review.indices.length : null;
+	}
+
+	// ---- timing: response time per answer, per-question countdown and time attack ----
+
+	// when the current question was shown (epoch ms)
+	let shownAt = 0;
+	let questionDeadline = 0;
+	let sessionDeadline = 0;
+	let questionTimer = null;
+	let sessionTimer = null;
+
+	function timeAttackActive() {
+		return cfg.timed === "timeAttack" && !review;
+	}
+
+	/** "normal" | "timed" | "timeAttack" | "mistakes" | "weak" */
+	function currentSessionType() {
+		if (review) return review.type;
+		if (cfg.timed === "countdown") return "timed";
+		if (cfg.timed === "timeAttack") return "timeAttack";
+		return "normal";
+	}
+
+	function clearTimers() {
+		if (questionTimer) clearTimeout(questionTimer);
+		if (sessionTimer) clearTimeout(sessionTimer);
+		questionTimer = null;
+		sessionTimer = null;
+		questionDeadline = 0;
+		sessionDeadline = 0;
+	}
+
+	function armQuestionTimer() {
+		if (questionTimer) clearTimeout(questionTimer);
+		questionTimer = null;
+		questionDeadline = 0;
+		if (cfg.timed !== "countdown") return;
+		questionDeadline = shownAt + cfg.timeLimit * 1000;
+		questionTimer = setTimeout(expireQuestion, cfg.timeLimit * 1000);
+	}
+
+	function armSessionTimer() {
+		if (!timeAttackActive()) return;
+		sessionDeadline = Date.now() + cfg.timeAttackSeconds * 1000;
+		sessionTimer = setTimeout(endTimeAttack, cfg.timeAttackSeconds * 1000);
+	}
+
+	// 制限時間切れは不正解として記録する
+	function expireQuestion() {
+		questionTimer = null;
+		if (!currentQuestion || answered || finished) return;
+		const outcome = recordAnswer("", { grade: "incorrect", credit: 0 }, -1, true);
+		emit("timeout", outcome);
+	}
+
+	// タイムアタック終了: 解答中の問題は数えずにセッションを終える
+	function endTimeAttack() {
+		sessionTimer = null;
+		if (finished) return;
+		finish();
+	}
+
+	/** Milliseconds left on the question countdown and the time-attack clock (null when not running). */
+	function getTimeLeft() {
+		const now = Date.now();
+		return {
+			question: questionDeadline && !answered && !finished ? Math.max(0, questionDeadline - now) : null,
+			session: sessionDeadline && !finished ? Math.max(0, sessionDeadline - now) : null,
+		};
+	}
+
+	// 部分点 (typed モードの「惜しい」= 0.5) を含めた合計点
+	function sessionScore(items) {
+		return items.reduce((sum, r) => sum + (typeof r.credit === "number" ? r.credit : r.correct ? 1 : 0), 0);
+	}
+
+	// --- spaced repetition (SM-2 style) ---
+	const DAY_MS = 24 * 60 * 60 * 1000;
+
+	// 0..5 の想起品質: ヒントなし正解 5、ヒントあり正解 3、不正解 1
+	function reviewQuality(r) {
+		if (r.grade === "close") return 3;
+		if (!r.correct) return 1;
+		return r.hintUsed ? 3 : 5;
+	}
+
+	/**
+	 * Update a perWord record in place with the next review date.
+	 * Adds { reps, interval (days), ease, due (ms), lastReviewed (ms) }.
+	 */
+	function scheduleReview(rec, quality, now) {
+		const ease = typeof rec.ease === "number" ? rec.ease : 2.5;
+		if (quality < 3) {
+			// 間違えた単語は次のセッションですぐに出す
+			rec.reps = 0;
+			rec.interval = 0;
+		} else {
+			rec.reps = (rec.reps || 0) + 1;
+			if (rec.reps === 1) rec.interval = 1;
+			else if (rec.reps === 2) rec.interval = 3;
+			else rec.interval = Math.max(1, Math.round((rec.interval || 1) * ease));
+		}
+		const q = 5 - quality;
+		rec.ease = Math.max(1.3, ease + (0.1 - q * (0.08 + q * 0.02)));
+		rec.due = now + rec.interval * DAY_MS;
+		rec.lastReviewed = now;
+		return rec;
+	}
+
+	// 期限切れの単語 (古い順) → 未学習の単語 (ランダム) → 期限の近い単語 の順に選ぶ
+	function chooseScheduledIndex(available) {
+		const perWord = loadStats().perWord || {};
+		const now = Date.now();
+		let due = -1;
+		let dueTs = Infinity;
+		let later = -1;
+		let laterTs = Infinity;
+		const fresh = [];
+		for (const i of available) {
+			const rec = perWord[wordId(cfg.words[i])];
+			if (!rec || typeof rec.due !== "number") {
+				fresh.push(i);
+			} else if (rec.due <= now) {
+				if (rec.due < dueTs) {
+					due = i;
+					dueTs = rec.due;
+				}
+			} else if (rec.due < laterTs) {
+				later = i;
+				laterTs = rec.due;
+			}
+		}
+		if (due >= 0) return due;
+		if (fresh.length > 0) return fresh[getRandomInt(fresh.length)];
+		return later;
+	}
+
+	// state
+	let count = 0;
+	/** @type {ResultItem[]} */
+	let results = [];
+	let hintUsed = false;
+	/** @type {Question|null} */
+	let currentQuestion = null;
+	let usedWords = [];
+	let usedMorphemes = [];
+
+	// --- indexing for performance (large word-lists) ---
+	let indexBuilt = false;
+	const wordIndexMap = {
+		byPOS: Object.create(null),
+		// answer length → entry indices, per direction (0: the English word, 1: the meaning)
+		byLen: [Object.create(null), Object.create(null)],
+		// word family (derivation group) id per entry index, and id → entry indices
+		familyOf: [],
+		families: new Map(),
+		// { index, base, suffix, gloss } for entries whose hint reads "base(…) + -suffix(…)"
+		derivations: [],
+		// 紛らわしい単語: entry index → [{ index, score }] (score の高い順, buildConfusables)
+		confusables: [],
+	};
+
+	function buildIndex() {
+		indexBuilt = false;
+		morphemeIndex = null;
+		wordIndexMap.byPOS = Object.create(null);
+		wordIndexMap.byLen = [Object.create(null), Object.create(null)];
+		for (let i = 0; i < cfg.words.length; i++) {
+			const w = cfg.words[i] || [];
+			const POS = w[3] || "";
+			if (POS) {
+				wordIndexMap.byPOS[POS] = wordIndexMap.byPOS[POS] || [];
+				wordIndexMap.byPOS[POS].push(i);
+			}
+			// mixed モードでは問題ごとに向きが変わるので、両方の向きの長さで引けるようにする
+			[w[0] || "", meaningOf(w)].forEach((text, dir) => {
+				const byLen = wordIndexMap.byLen[dir];
+				const len = String(text).length;
+				byLen[len] = byLen[len] || [];
+				byLen[len].push(i);
+			});
+		}
+		buildFamilies();
+		buildConfusables();
+		indexBuilt = true;
+	}
+
+	// ---- confusable words for the distractors (scored once per word list) ----
+
+	// 1 つのキー (綴りの 3 文字・形態素・意味の文字) を共有する単語がこれより多ければ候補集めに使わない
+	const CONFUSABLE_BUCKET_LIMIT = 60;
+	// この score 以上を紛らわしい単語とし、1 語につき多くても CONFUSABLE_LIMIT 語を残す
+	const CONFUSABLE_MIN_SCORE = 0.4;
+	const CONFUSABLE_LIMIT = 20;
+
+	function editDistance(a, b) {
+		let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+		for (let i = 1; i <= a.length; i++) {
+			const row = [i];
+			for (let j = 1; j <= b.length; j++)
+				row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+			prev = row;
+		}
+		return prev[b.length];
+	}
+
+	// 意味の比較に使う語: 英語なら 3 文字以上の単語、日本語なら漢字・カタカナ 1 文字ずつ (ひらがなは除く)
+	function meaningTokens(text) {
+		const tokens = new Set();
+		for (const m of (text + "").toLowerCase().matchAll(/[a-z]{3,}|[\u4e00-\u9fff\u30a0-\u30ff]/g)) tokens.add(m[0]);
+		return tokens;
+	}
+
+	/**
+	 * How easily two entries are mixed up, 0..1: the highest of
+	 *  - a shared root (distribute / attribute) or prefix from the hints
+	 *  - spelling: 1 - edit distance / length
+	 *  - overlapping meaning text (Jaccard of meaningTokens, at most 0.8)
+	 * plus 0.1 when the part of speech is the same.
+	 */
+	function confusableScore(a, b) {
+		let score = 0;
+		for (const key of a.morphemes) {
+			if (!b.morphemes.has(key)) continue;
+			score = Math.max(score, key.startsWith("root:") ? 0.9 : 0.5);
+		}
+		const len = Math.max(a.spelling.length, b.spelling.length);
+		if (len > 0) score = Math.max(score, 1 - editDistance(a.spelling, b.spelling) / len);
+		let shared = 0;
+		for (const t of a.meaning) if (b.meaning.has(t)) shared++;
+		const union = a.meaning.size + b.meaning.size - shared;
+		if (union > 0) score = Math.max(score, (0.8 * shared) / union);
+		return score > 0 && a.POS && a.POS === b.POS ? Math.min(1, score + 0.1) : score;
+	}
+
+	/**
+	 * Score every pair of entries that share a spelling trigram, a morpheme or a meaning
+	 * token, and keep the closest ones per entry in wordIndexMap.confusables. Only pairs
+	 * from the same bucket are compared, so this stays well below n² for large lists.
+	 */
+	function buildConfusables() {
+		const n = cfg.words.length;
+		const features = cfg.words.map((w) => {
+			const spelling = ((w && w[0]) || "").toLowerCase();
+			const morphemes = new Set(
+				parseHint(w && w[2]).parts.filter((p) => p.type !== "suffix").map((p) => `${p.type}:${p.key}`)
+			);
+			return { spelling, morphemes, meaning: meaningTokens(meaningOf(w)), POS: (w && w[3]) || "" };
+		});
+		const buckets = new Map();
+		const addTo = (key, i) => {
+			if (!buckets.has(key)) buckets.set(key, []);
+			buckets.get(key).push(i);
+		};
+		features.forEach((f, i) => {
+			for (let k = 0; k + 3 <= f.spelling.length; k++) addTo(`s:${f.spelling.slice(k, k + 3)}`, i);
+			f.morphemes.forEach((key) => addTo(`m:${key}`, i));
+			f.meaning.forEach((t) => addTo(`t:${t}`, i));
+		});
+		const neighbours = Array.from({ length: n }, () => new Set());
+		for (const list of buckets.values()) {
+			if (list.length < 2 || list.length > CONFUSABLE_BUCKET_LIMIT) continue;
+			for (const i of list) for (const j of list) if (i !== j) neighbours[i].add(j);
+		}
+		wordIndexMap.confusables = neighbours.map((set, i) => {
+			const scored = [];
+			for (const j of set) {
+				// 同じ綴りの別品詞は選択肢にしないので除く
+				if (features[j].spelling === features[i].spelling) continue;
+				const score = confusableScore(features[i], features[j]);
+				if (score >= CONFUSABLE_MIN_SCORE) scored.push({ index: j, score });
+			}
+			return scored.sort((x, y) => y.score - x.score).slice(0, CONFUSABLE_LIMIT);
+		});
+	}
+
+	/**
+	 * Group entries into derivation families. Two entries belong together when they
+	 * share the same spelling (exhibit 動詞 / 名詞) or when one hint names the other
+	 * as its base, e.g. "correspond(一致、通信する) + -ence(名詞化)".
+	 */
+	function buildFamilies() {
+		const n = cfg.words.length;
+		const parent = Array.from({ length: n }, (_, i) => i);
+		const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+		const union = (a, b) => {
+			const ra = find(a),
+				rb = find(b);
+			if (ra !== rb) parent[rb] = ra;
+		};
+
+		const bySpelling = new Map();
+		for (let i = 0; i < n; i++) {
+			const key = ((cfg.words[i] || [])[0] || "").toLowerCase();
+			if (!bySpelling.has(key)) bySpelling.set(key, []);
+			bySpelling.get(key).push(i);
+		}
+		for (const idxs of bySpelling.values()) for (const j of idxs) union(idxs[0], j);
+
+		wordIndexMap.derivations = [];
+		for (let i = 0; i < n; i++) {
+			const { parts } = parseHint((cfg.words[i] || [])[2]);
+			const bases = parts.filter((p) => p.type === "root" && bySpelling.has(p.key));
+			for (const b of bases) union(i, bySpelling.get(b.key)[0]);
+			// 派生関係として使うのは「既存の見出し語 + 接尾辞」の形だけ
+			const suffix = parts[parts.length - 1];
+			if (bases.length === 1 && parts[0] === bases[0] && suffix.type === "suffix")
+				wordIndexMap.derivations.push({ index: i, base: bases[0].key, suffix: suffix.form, gloss: suffix.gloss });
+		}
+
+		wordIndexMap.familyOf = new Array(n);
+		wordIndexMap.families = new Map();
+		for (let i = 0; i < n; i++) {
+			const root = find(i);
+			wordIndexMap.familyOf[i] = root;
+			if (!wordIndexMap.families.has(root)) wordIndexMap.families.set(root, []);
+			wordIndexMap.families.get(root).push(i);
+		}
+	}
+
+	function getCandidateDistractorIndices(wordIndex) {
+		if (!indexBuilt) buildIndex();
 		const w = cfg.words[wordIndex] || [];
 		const POS = w[3] || "";
 		const candidates = new Set();
@@ -195,12 +2197,12 @@ export function createQuiz(options = {}) {
 			for (const idx of wordIndexMap.byPOS[POS]) if (idx !== wordIndex) candidates.add(idx);
 		}
 		// length-based fallback: gather neighbors within +/-2
-		const text = (w[cfg.mode] || "") + "";
+		const text = answerText(w) + "";
 		const len = text.length || 0;
 		for (let d = -2; d <= 2; d++) {
 			const l = len + d;
 			if (l < 0) continue;
-			const arr = wordIndexMap.byLen[l];
+			const arr = wordIndexMap.byLen[direction === 1 ? 1 : 0][l];
 			if (!arr) continue;
 			for (const idx of arr) if (idx !== wordIndex) candidates.add(idx);
 		}
@@ -214,151 +2216,408 @@ export function createQuiz(options = {}) {
 		return arr;
 	}
 
-	// DOM refs (will be wired by init)
-	/** @type {DomRefs} */
-	let refs = {};
-
-	// focus index for keyboard navigation inside module
-	let focusedIndex = 0;
+	// ---- morpheme inventory (built lazily from the hint strings) ----
+	let morphemeIndex = null;
 
-	// ---- UI action implementations ----
+	/**
+	 * Collect every prefix / root / suffix used in the hints.
+	 * key "type:form" → { type, form, glosses: string[], examples: string[] }
+	 * Roots that are themselves entries (e.g. correspond in "correspond + -ence") are skipped.
+	 */
+	function buildMorphemeIndex() {
+		const entries = new Set(cfg.words.map((w) => (w[0] || "").toLowerCase()));
+		const map = new Map();
+		for (const w of cfg.words) {
+			const { parts } = parseHint(w[2]);
+			for (const part of parts) {
+				if (part.type === "root" && entries.has(part.key)) continue;
+				const id = `${part.type}:${part.form}`;
+				if (!map.has(id)) map.set(id, { type: part.type, form: part.form, glosses: [], examples: [] });
+				const m = map.get(id);
+				if (part.gloss && !m.glosses.includes(part.gloss)) m.glosses.push(part.gloss);
+				if (!m.examples.includes(w[0])) m.examples.push(w[0]);
+			}
+		}
+		morphemeIndex = map;
+		return map;
+	}
 
-	function showHint() {
-		if (!refs || !currentQuestion) return;
-		hintUsed = true;
-		const w = currentQuestion.word;
-		const hintText =
-			(w && w[2]) ||
-			(typeof window !== "undefined" &&
-				window.wordsMap &&
-				window.wordsMap[w && w[0]] &&
-				window.wordsMap[w[0]].hint) ||
-			"(ヒントはありません)";
-		if (refs.hintText) refs.hintText.textContent = hintText;
+	function getMorphemeIndex() {
+		return morphemeIndex || buildMorphemeIndex();
 	}
 
-	function selectAnswer(idx) {
-		if (!refs || !currentQuestion) return;
-		// disable all buttons to prevent double answers
-		refs.selectionButtons.forEach((b) => {
-			b.disabled = true;
-			try {
-				b.setAttribute("aria-pressed", "false");
-			} catch (e) {}
+	/**
+	 * "「外に」を表す接頭辞は？" (gloss → form) or "接尾辞「-ment」の働きは？" (form → gloss).
+	 * Distractors come from morphemes of the same type that do not share the gloss.
+	 * Returns null when there are not enough morphemes for a full set of choices.
+	 */
+	function buildMorphemeQuestion() {
+		const index = getMorphemeIndex();
+		const all = Array.from(index.values()).filter((m) => m.glosses.length > 0);
+		const need = cfg.selection - 1;
+		const usable = all.filter((m) => {
+			const others = all.filter((o) => o.type === m.type && !o.glosses.some((g) => m.glosses.includes(g)));
+			return others.length >= need;
 		});
-		const btn = refs.selectionButtons[idx];
-		if (!btn) return;
-		try {
-			btn.setAttribute("aria-pressed", "true");
-		} catch (e) {}
-		const selectedText = btn.textContent || "";
-		const correct = idx === correctAnswerIndex;
-
-		// prepare result item
-		const questionText =
-			cfg.mode === 0
-				? `「${currentQuestion.word[1]}」の英単語は？`
-				: `「${currentQuestion.word[0]}」の意味は？`;
-		const correctAnswer =
-			(currentQuestion.word && currentQuestion.word[cfg.mode]) || "";
-		const hintText =
-			(refs.hintText && refs.hintText.textContent) ||
-			(currentQuestion.word && currentQuestion.word[2]) ||
-			"";
-
-		results.push({
-			question: questionText,
+		if (usable.length === 0) return null;
+		if (usedMorphemes.length >= usable.length) usedMorphemes = [];
+		const fresh = usable.filter((m) => !usedMorphemes.includes(`${m.type}:${m.form}`));
+		const target = fresh[getRandomInt(fresh.length)];
+		usedMorphemes.push(`${target.type}:${target.form}`);
+
+		const gloss = target.glosses[getRandomInt(target.glosses.length)];
+		const label = morphemeLabel(target.type);
+		const others = shuffleArray(
+			all.filter((o) => o.type === target.type && !o.glosses.includes(gloss) && o !== target)
+		);
+		const askForm = random() < 0.5;
+		let prompt, correctAnswer;
+		const wrong = [];
+		if (askForm) {
+			prompt = message("promptMorphemeForm", { gloss, label });
+			correctAnswer = target.form;
+			for (const o of others) {
+				if (wrong.length >= need) break;
+				if (!wrong.includes(o.form)) wrong.push(o.form);
+			}
+		} else {
+			prompt = message(target.type === "suffix" ? "promptSuffixFunction" : "promptMorphemeMeaning", { label, form: target.form });
+			correctAnswer = gloss;
+			for (const o of others) {
+				if (wrong.length >= need) break;
+				const g = o.glosses.find((x) => !target.glosses.includes(x) && !wrong.includes(x));
+				if (g) wrong.push(g);
+			}
+		}
+		const choices = shuffleArray([correctAnswer, ...wrong]);
+		return {
+			kind: "morpheme",
+			word: null,
+			index: -1,
+			prompt,
+			posText: "",
+			choices,
+			correctIndex: choices.indexOf(correctAnswer),
 			correctAnswer,
-			hint: hintText,
-			answer: selectedText,
-			correct,
-			hintUsed,
+			hint: message("morphemeExamples", { examples: target.examples.slice(0, 3).join(", ") }),
+			typed: false,
+		};
+	}
+
+	// ---- word family (derivation) questions ----
+
+	const DERIVATION_POS = new Set(["名詞", "動詞", "形容詞", "副詞"]);
+
+	// 出題に使える派生: 派生語の品詞が名詞・動詞・形容詞・副詞で、
+	// 元の語自体がその品詞の見出しを持たないもの (exhibit → exhibition の「名詞形」は曖昧なので除く)
+	function usableDerivations() {
+		if (!indexBuilt) buildIndex();
+		return wordIndexMap.derivations.filter((d) => {
+			const POS = cfg.words[d.index][3];
+			if (!DERIVATION_POS.has(POS)) return false;
+			return !cfg.words.some((w) => (w[0] || "").toLowerCase() === d.base && w[3] === POS);
 		});
+	}
+
+	/**
+	 * "「evaluate」の名詞形は？" (answer: evaluation) or
+	 * "「strong」を名詞にする接尾辞は？" (answer: -th).
+	 * Distractors are other members of the same family first, then words / suffixes of the same POS.
+	 */
+	function buildFamilyQuestion() {
+		const candidates = usableDerivations().filter((d) => !usedWords.includes(d.index));
+		if (candidates.length === 0) return null;
+		const d = candidates[getRandomInt(candidates.length)];
 
-		if (refs.resultText)
-			refs.resultText.textContent = correct
-				? cfg.texts.correctText
-				: `${cfg.texts.incorrectPrefix}${correctAnswer}${cfg.texts.incorrectSuffix}`;
-		if (refs.nextButton) refs.nextButton.disabled = false;
+		const word = cfg.words[d.index];
+		const POS = word[3];
+		const family = wordIndexMap.families.get(wordIndexMap.familyOf[d.index]) || [];
+		const baseText = family.map((i) => cfg.words[i][0]).find((t) => t.toLowerCase() === d.base) || d.base;
+		// 同じ元の語から同じ品詞の派生語が複数あるときは意味を添えて区別する
+		const sameKind = wordIndexMap.derivations.filter((o) => o.base === d.base && cfg.words[o.index][3] === POS);
+		const need = cfg.selection - 1;
+		const askSuffix = random() < 0.5;
+		let prompt, correctAnswer, hint;
+		const wrong = [];
+
+		if (askSuffix) {
+			prompt = message("promptDerivationSuffix", { base: baseText, pos: posName(POS) });
+			if (sameKind.length > 1) prompt += message("promptSense", { meaning: meaningOf(word) });
+			correctAnswer = d.suffix;
+			hint = `${word[0]}: ${meaningOf(word)}`;
+			const valid = new Set(sameKind.map((o) => o.suffix));
+			const familySuffixes = wordIndexMap.derivations.filter((o) => wordIndexMap.familyOf[o.index] === wordIndexMap.familyOf[d.index]);
+			const samePOS = wordIndexMap.derivations.filter((o) => cfg.words[o.index][3] === POS);
+			for (const o of [...shuffleArray(familySuffixes), ...shuffleArray(samePOS), ...shuffleArray(wordIndexMap.derivations)]) {
+				if (wrong.length >= need) break;
+				if (!valid.has(o.suffix) && !wrong.includes(o.suffix)) wrong.push(o.suffix);
+			}
+		} else {
+			prompt = message("promptDerivationForm", { base: baseText, pos: posName(POS) });
+			if (sameKind.length > 1) prompt += message("promptSense", { meaning: meaningOf(word) });
+			correctAnswer = word[0];
+			hint = `${d.suffix}(${d.gloss})`;
+			const exclude = new Set([correctAnswer.toLowerCase(), d.base]);
+			// 意味を添えない場合は同じ品詞の家族も正解になり得るので除く
+			if (sameKind.length <= 1) for (const i of family) if (cfg.words[i][3] === POS) exclude.add(cfg.words[i][0].toLowerCase());
+			const pool = [...shuffleArray(family), ...shuffleArray(wordIndexMap.byPOS[POS] || [])];
+			for (const i of pool) {
+				if (wrong.length >= need) break;
+				const text = cfg.words[i][0];
+				if (exclude.has(text.toLowerCase()) || wrong.includes(text)) continue;
+				// 家族以外から補う場合は同じ品詞の語に限る
+				if (wordIndexMap.familyOf[i] !== wordIndexMap.familyOf[d.index] && cfg.words[i][3] !== POS) continue;
+				wrong.push(text);
+			}
+		}
+		if (wrong.length === 0) return null;
+		// 出題できると決まってから使用済みにする
+		usedWords.push(d.index);
+		const choices = shuffleArray([correctAnswer, ...wrong]);
+		return {
+			kind: "family",
+			word,
+			index: d.index,
+			prompt,
+			posText: "",
+			choices,
+			correctIndex: choices.indexOf(correctAnswer),
+			correctAnswer,
+			hint,
+			typed: false,
+		};
 	}
 
-	// ---- words-data loader (attempt to load words-data.js if window.wordsList missing) ----
+	// ---- antonym / preposition questions (from the annotations parsed out of the meaning) ----
 
-	function loadScript(src, timeout = 3000) {
-		// Try dynamic import first so we can access module exports (avoid 'export' SyntaxError
-		// when a file is treated as a classic script). If dynamic import fails, fall back
-		// to appending a <script type="module"> tag.
-		return new Promise((resolve, reject) => {
-			let finished = false;
-			const tid = setTimeout(() => {
-				if (!finished) {
-					finished = true;
-					reject(new Error(`timeout loading ${src}`));
-				}
-			}, timeout);
+	// 意味の注記に出てくる前置詞が少ないときに誤答として補う前置詞
+	const COMMON_PREPOSITIONS = ["of", "to", "with", "for", "in", "on", "at", "from", "about", "by"];
 
-			// dynamic import
-			try {
-				import(src)
-					.then((mod) => {
-						if (finished) return;
-						finished = true;
-						clearTimeout(tid);
-						// if module provided a default export (words array), expose it as window.wordsList
-						if (typeof window !== "undefined" && mod && mod.default) {
-							try {
-								window.wordsList = mod.default;
-								// also build a wordsMap for backward compatibility
-								if (!window.wordsMap || typeof window.wordsMap !== "object") {
-									window.wordsMap = {};
-									for (const w of mod.default) {
-										if (!w) continue;
-										const key = w.word || (Array.isArray(w) && w[0]);
-										if (!key) continue;
-										window.wordsMap[key] = {
-											meaning: w.meaning || (Array.isArray(w) && w[1]) || "",
-											hint: w.hint || (Array.isArray(w) && w[2]) || "",
-											POS: w.POS || (Array.isArray(w) && w[3]) || "",
-										};
-									}
-								}
-							} catch (e) {}
-						}
-						resolve();
-					})
-					.catch(() => {
-						// fallback: insert module script tag
-						if (finished) return;
-						const script = document.createElement("script");
-						script.src = src;
-						script.type = "module";
-						script.async = true;
-						script.onload = () => {
-							if (finished) return;
-							finished = true;
-							clearTimeout(tid);
-							resolve();
-						};
-						script.onerror = () => {
-							if (finished) return;
-							finished = true;
-							clearTimeout(tid);
-							reject(new Error(`failed to load ${src}`));
-						};
-						document.head.appendChild(script);
-					});
-			} catch (e) {
-				// If import throws synchronously (older browsers), fall back to script tag
-				if (finished) return;
-				const script = document.createElement("script");
-				script.src = src;
-				script.type = "module";
-				script.async = true;
+	function pickUnusedIndex(test) {
+		const candidates = [];
+		for (let i = 0; i < cfg.words.length; i++) if (!usedWords.includes(i) && test(cfg.words[i])) candidates.push(i);
+		if (candidates.length === 0) return -1;
+		const chosen = candidates[getRandomInt(candidates.length)];
+		usedWords.push(chosen);
+		return chosen;
+	}
+
+	/**
+	 * "「strengthen」の反意語は？" — distractors are the antonym's family first
+	 * (weak, weakness …), then other words with the same POS.
+	 */
+	function buildAntonymQuestion() {
+		if (!indexBuilt) buildIndex();
+		const index = pickUnusedIndex((w) => w[4] && w[4].antonyms && w[4].antonyms.length > 0);
+		if (index < 0) return null;
+		const word = cfg.words[index];
+		const meta = word[4];
+		const correctAnswer = meta.antonyms[getRandomInt(meta.antonyms.length)];
+		const exclude = new Set([word[0], ...meta.antonyms, ...(meta.synonyms || [])].map((t) => t.toLowerCase()));
+		const antonymIndex = cfg.words.findIndex((w) => (w[0] || "").toLowerCase() === correctAnswer.toLowerCase());
+		const family = antonymIndex >= 0 ? wordIndexMap.families.get(wordIndexMap.familyOf[antonymIndex]) || [] : [];
+		const pool = [...shuffleArray(family), ...shuffleArray(wordIndexMap.byPOS[word[3]] || [])];
+		const wrong = [];
+		for (const i of pool) {
+			if (wrong.length >= cfg.selection - 1) break;
+			const text = cfg.words[i][0];
+			if (exclude.has(text.toLowerCase()) || wrong.includes(text)) continue;
+			wrong.push(text);
+		}
+		if (wrong.length === 0) return null;
+		const choices = shuffleArray([correctAnswer, ...wrong]);
+		return {
+			kind: "antonym",
+			word,
+			index,
+			prompt: message("promptAntonym", { word: word[0] }),
+			posText: posText(word[3]),
+			choices,
+			correctIndex: choices.indexOf(correctAnswer),
+			correctAnswer,
+			hint: `${word[0]}: ${meaningOf(word)}`,
+			typed: false,
+		};
+	}
+
+	/**
+	 * "approve ___ 〜「(〜に)賛成する」" with choices of / to / with / for.
+	 * Prepositions the entry accepts anywhere are never used as distractors.
+	 */
+	function buildPrepositionQuestion() {
+		const index = pickUnusedIndex((w) => w[4] && w[4].prepositions && w[4].prepositions.length > 0);
+		if (index < 0) return null;
+		const word = cfg.words[index];
+		const meta = word[4];
+		const senses = meta.senses.filter((sense) => sense.prepositions.length > 0);
+		const sense = senses[getRandomInt(senses.length)];
+		const correctAnswer = sense.prepositions[getRandomInt(sense.prepositions.length)];
+		const pool = [];
+		for (const w of cfg.words) for (const p of (w[4] && w[4].prepositions) || []) if (!pool.includes(p)) pool.push(p);
+		for (const p of COMMON_PREPOSITIONS) if (!pool.includes(p)) pool.push(p);
+		const wrong = shuffleArray(pool.filter((p) => !meta.prepositions.includes(p))).slice(0, cfg.selection - 1);
+		const choices = shuffleArray([correctAnswer, ...wrong]);
+		return {
+			kind: "preposition",
+			word,
+			index,
+			prompt: message("promptPreposition", { word: word[0], sense: sense.text }),
+			posText: posText(word[3]),
+			choices,
+			correctIndex: choices.indexOf(correctAnswer),
+			correctAnswer,
+			hint: word[2] || "",
+			typed: false,
+		};
+	}
+
+	// 選択肢や問題文に出す意味は注記を除いたもの
+	function meaningOf(word) {
+		return (word && word[4] && word[4].core) || (word && word[1]) || "";
+	}
+
+	// 今の問題の出題方向 (0 | 1)。cfg.mode が "mixed" のときは問題ごとに選び直す
+	let direction = cfg.mode === 0 ? 0 : 1;
+
+	function pickDirection() {
+		direction = cfg.mode === "mixed" ? getRandomInt(2) : cfg.mode;
+		return direction;
+	}
+
+	// 現在の出題方向で答えとして表示するテキスト
+	function answerText(word) {
+		return direction === 1 ? meaningOf(word) : (word && word[0]) || "";
+	}
+
+	function wordId(word) {
+		return word && word[4] && word[4].id ? word[4].id : undefined;
+	}
+
+	function wordSection(word) {
+		return word && word[4] && word[4].section !== undefined ? word[4].section : undefined;
+	}
+
+	function sectionLabel(id) {
+		const entry = (sectionRegistry || []).find((s) => String(s.id) === String(id));
+		return (entry && entry.label) || message("sectionLabel", { id });
+	}
+
+	// セクションごとの { section, score, total } (セクション情報がない結果は含めない)
+	function summarizeBySection(items) {
+		const map = new Map();
+		for (const r of items) {
+			if (r.section === undefined) continue;
+			const key = String(r.section);
+			if (!map.has(key)) map.set(key, { section: r.section, score: 0, total: 0 });
+			const row = map.get(key);
+			row.total += 1;
+			row.score += typeof r.credit === "number" ? r.credit : r.correct ? 1 : 0;
+		}
+		return Array.from(map.values());
+	}
+
+	// ---- typed answer (spelling) mode ----
+
+	function isTypedMode() {
+		return cfg.answerInput === "typed" && direction === 0;
+	}
+
+	// 大文字小文字と前後・連続する空白を無視して比較する
+	function normalizeTyped(text) {
+		return (text + "").toLowerCase().replace(/\s+/g, " ").trim();
+	}
+
+	/**
+	 * Levenshtein distance between two strings plus the letter-by-letter alignment.
+	 * ops[].op is "equal" | "replace" | "missing" (letter not typed) | "extra" (letter typed too much).
+	 */
+	function diffSpelling(expected, actual) {
+		const m = expected.length,
+			n = actual.length;
+		const dp = Array(m + 1)
+			.fill(null)
+			.map(() => Array(n + 1).fill(0));
+		for (let i = 0; i <= m; i++) dp[i][0] = i;
+		for (let j = 0; j <= n; j++) dp[0][j] = j;
+		for (let i = 1; i <= m; i++) {
+			for (let j = 1; j <= n; j++) {
+				const cost = expected[i - 1] === actual[j - 1] ? 0 : 1;
+				dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+			}
+		}
+		const ops = [];
+		let i = m,
+			j = n;
+		while (i > 0 || j > 0) {
+			const same = i > 0 && j > 0 && expected[i - 1] === actual[j - 1];
+			if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + (same ? 0 : 1)) {
+				ops.push({ op: same ? "equal" : "replace", expected: expected[i - 1], actual: actual[j - 1] });
+				i--;
+				j--;
+			} else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+				ops.push({ op: "missing", expected: expected[i - 1], actual: "" });
+				i--;
+			} else {
+				ops.push({ op: "extra", expected: "", actual: actual[j - 1] });
+				j--;
+			}
+		}
+		ops.reverse();
+		return { distance: dp[m][n], ops };
+	}
+
+	// 短い単語は 1 文字、長い単語は 2 文字までの誤りを「惜しい」(部分点) とする
+	function gradeTypedAnswer(input, expected) {
+		const actual = normalizeTyped(input);
+		const target = normalizeTyped(expected);
+		const { distance, ops } = diffSpelling(target, actual);
+		if (actual.replace(/ /g, "") === target.replace(/ /g, ""))
+			return { grade: "correct", credit: 1, distance: 0, ops };
+		const tolerance = target.length <= 5 ? 1 : 2;
+		if (actual && distance <= tolerance) return { grade: "close", credit: 0.5, distance, ops };
+		return { grade: "incorrect", credit: 0, distance, ops };
+	}
+
+	// ---- words-data loader (sections listed in words-data-sections.js) ----
+
+	// words-data-sections.js を読み込めなかったときに使う従来のパス候補
+	const LEGACY_SECTION = {
+		id: 10,
+		label: "Section 10",
+		src: [
+			"/words-data-section10.js",
+			"./words-data-section10.js",
+			"../Desktop/words-data-section10.js",
+			"../words-data-section10.js",
+		],
+	};
+
+	function loadScript(src, timeout = 3000) {
+		// Try dynamic import first so we can access module exports (avoid 'export' SyntaxError
+		// when a file is treated as a classic script). If dynamic import fails, fall back
+		// to appending a <script type="module"> tag.
+		// Resolves with the module's default export (the words array) when available.
+		return new Promise((resolve, reject) => {
+			let finished = false;
+			const tid = setTimeout(() => {
+				if (!finished) {
+					finished = true;
+					reject(new Error(`timeout loading ${src}`));
+				}
+			}, timeout);
+
+			// script tag fallback: the data file itself has to publish window.wordsList
+			const appendScriptTag = () => {
+				if (finished) return;
+				const script = document.createElement("script");
+				script.src = src;
+				script.type = "module";
+				script.async = true;
 				script.onload = () => {
 					if (finished) return;
 					finished = true;
 					clearTimeout(tid);
-					resolve();
+					resolve(typeof window !== "undefined" ? window.wordsList : undefined);
 				};
 				script.onerror = () => {
 					if (finished) return;
@@ -367,122 +2626,1604 @@ export function createQuiz(options = {}) {
 					reject(new Error(`failed to load ${src}`));
 				};
 				document.head.appendChild(script);
+			};
+
+			// dynamic import
+			try {
+				import(src)
+					.then((mod) => {
+						if (finished) return;
+						finished = true;
+						clearTimeout(tid);
+						resolve(mod && mod.default);
+					})
+					.catch(appendScriptTag);
+			} catch (e) {
+				// If import throws synchronously (older browsers), fall back to script tag
+				appendScriptTag();
+			}
+		});
+	}
+
+	// try each candidate path sequentially until one yields a words array
+	function loadSectionData(section) {
+		const candidates = Array.isArray(section.src) ? section.src : [section.src];
+		let p = Promise.reject();
+		for (const c of candidates) {
+			p = p.catch(() =>
+				loadScript(c).then((data) => (data ? data : Promise.reject(new Error(`no words in ${c}`))))
+			);
+		}
+		return p;
+	}
+
+	let sectionRegistry = null;
+
+	/**
+	 * Registry of loadable sections: [{ id, label, src }].
+	 * Uses cfg.sectionRegistry when given, otherwise words-data-sections.js.
+	 */
+	function getSectionRegistry() {
+		if (sectionRegistry) return Promise.resolve(sectionRegistry);
+		if (Array.isArray(cfg.sectionRegistry)) {
+			sectionRegistry = cfg.sectionRegistry;
+			return Promise.resolve(sectionRegistry);
+		}
+		return loadScript(cfg.sectionManifest)
+			.then((list) => (Array.isArray(list) && list.length > 0 ? list : [LEGACY_SECTION]))
+			.catch(() => [LEGACY_SECTION])
+			.then((list) => {
+				sectionRegistry = list;
+				return list;
+			});
+	}
+
+	/**
+	 * Parse a section selection such as "10", "8-12", "8〜12, 15" or [8, 9].
+	 * Returns an array of ids in the given order, or null when the text is invalid.
+	 */
+	function parseSectionSpec(spec) {
+		if (Array.isArray(spec)) return spec.map((v) => String(v).trim()).filter(Boolean);
+		const out = [];
+		const text = (spec == null ? "" : String(spec)).trim();
+		if (!text) return out;
+		for (const part of text.split(/[,、\s]+/)) {
+			if (!part) continue;
+			const range = part.match(/^(\d+)\s*[-–〜~]\s*(\d+)$/);
+			if (range) {
+				let from = parseInt(range[1], 10);
+				let to = parseInt(range[2], 10);
+				if (from > to) [from, to] = [to, from];
+				for (let i = from; i <= to; i++) out.push(String(i));
+			} else if (/^[\w.]+$/.test(part)) {
+				out.push(part);
+			} else {
+				return null;
+			}
+		}
+		return Array.from(new Set(out));
+	}
+
+	/**
+	 * Load and merge the words of the selected sections into cfg.words.
+	 * An empty selection loads every registered section. Each entry is tagged with
+	 * its section id (entry[4].section). When no section could be loaded, the current words
+	 * and the saved settings are left as they are.
+	 * @returns {Promise<{ loaded: string[], missing: string[], failed: string[] }>}
+	 */
+	function loadSections(spec) {
+		const ids = parseSectionSpec(spec);
+		if (ids === null) return Promise.reject(new Error(`invalid section selection: ${spec}`));
+		return getSectionRegistry().then((registry) => {
+			const wanted = ids.length > 0 ? ids : registry.map((s) => String(s.id));
+			const selected = registry.filter((s) => wanted.includes(String(s.id)));
+			const missing = wanted.filter((id) => !registry.some((s) => String(s.id) === id));
+			const failed = [];
+			return Promise.all(
+				selected.map((section) =>
+					loadSectionData(section)
+						.then((data) => normalizeWords(data, { section: section.id }))
+						.catch(() => {
+							failed.push(String(section.id));
+							return [];
+						})
+				)
+			).then((lists) => {
+				const loaded = selected.map((s) => String(s.id)).filter((id) => !failed.includes(id));
+				if (cfg.debug) console.debug("loadSections:", { loaded, missing, failed });
+				// 1 つも読み込めなければ今の単語と保存した設定はそのままにする
+				if (loaded.length === 0) return { loaded, missing, failed };
+				cfg.words = [].concat(...lists);
+				cfg.sections = ids;
+				rememberSettings({ sections: ids });
+				clearActiveWordList();
+				usedWords = [];
+				buildIndex();
+				logValidation();
+				return { loaded, missing, failed };
+			});
+		});
+	}
+
+	// ---- saved word lists (imported by teachers), kept in localStorage ----
+	const WORDLIST_KEY = "quiz_module_wordlists_v1";
+	// 今出題している保存リストの名前 (useWordList)。セクションや渡された単語なら null
+	let loadedWordList = null;
+
+	/**
+	 * @typedef {Object} SavedWordList
+	 * @property {string} name
+	 * @property {number} createdAt
+	 * @property {{ word: string, meaning: string, hint: string, POS: string }[]} words
+	 */
+
+	/** @returns {{ lists: Object<string, SavedWordList> }} */
+	function loadWordListStore() {
+		const empty = { lists: {} };
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return empty;
+			const raw = window.localStorage.getItem(WORDLIST_KEY);
+			return raw ? Object.assign(empty, JSON.parse(raw)) : empty;
+		} catch (e) {
+			return empty;
+		}
+	}
+	function saveWordListStore(store) {
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return false;
+			window.localStorage.setItem(WORDLIST_KEY, JSON.stringify(store));
+			return true;
+		} catch (e) {
+			// Storage may be full or blocked
+			return false;
+		}
+	}
+
+	/** Saved lists, newest first: [{ name, count, createdAt }] */
+	function getWordLists() {
+		const store = loadWordListStore();
+		return Object.keys(store.lists)
+			.map((name) => ({ name, count: store.lists[name].words.length, createdAt: store.lists[name].createdAt }))
+			.sort((a, b) => b.createdAt - a.createdAt);
+	}
+
+	/** Name of the saved list in use, or null for the built-in sections. */
+	function getActiveWordList() {
+		const name = activeProfile().settings.wordList;
+		return name && loadWordListStore().lists[name] ? name : null;
+	}
+
+	/**
+	 * Check a word list with normalizeWords / validateWords and save it under a name.
+	 * Entries without a word or a meaning are left out. An existing list with the same name is replaced.
+	 * @param {string} name
+	 * @param {Array|Object} items  parsed data, e.g. parseWordList(text).items
+	 * @returns {{ ok: boolean, count: number, skipped: number, report: Object, error?: string }}
+	 */
+	function saveWordList(name, items) {
+		const listName = String(name || "").trim();
+		const report = validateWords(items, { similarity: false, locale: cfg.locale, texts: cfg.texts });
+		if (!listName) return { ok: false, count: 0, skipped: 0, report, error: message("wordListNoName") };
+		const normalized = normalizeWords(items);
+		const words = normalized
+			.filter((w) => w[0] && w[1])
+			.map((w) => ({ word: w[0], meaning: w[1], hint: w[2], POS: w[3] }));
+		const skipped = report.count - words.length;
+		if (words.length === 0) return { ok: false, count: 0, skipped, report, error: message("wordListEmpty") };
+		const store = loadWordListStore();
+		store.lists[listName] = { name: listName, createdAt: Date.now(), words };
+		if (!saveWordListStore(store)) return { ok: false, count: 0, skipped, report, error: message("wordListSaveFailed") };
+		return { ok: true, count: words.length, skipped, report };
+	}
+
+	// 組み込みのセクションを読み込んだら自作リストの選択は外す
+	function clearActiveWordList() {
+		loadedWordList = null;
+		if (activeProfile().settings.wordList) rememberSettings({ wordList: null });
+	}
+
+	function deleteWordList(name) {
+		const store = loadWordListStore();
+		if (!store.lists[name]) return false;
+		delete store.lists[name];
+		saveWordListStore(store);
+		profiles().profiles.forEach((p) => {
+			if (p.settings.wordList === name) p.settings.wordList = null;
+		});
+		saveProfiles();
+		return true;
+	}
+
+	/**
+	 * Quiz on a saved list, or back on the built-in sections with null. The choice is remembered
+	 * in the active profile.
+	 * @returns {Promise<number>} number of words loaded
+	 */
+	function useWordList(name) {
+		const store = loadWordListStore();
+		const list = name ? store.lists[name] : null;
+		if (name && !list) return Promise.reject(new Error(message("wordListMissing", { name })));
+		if (!list) return loadSections(cfg.sections).then(() => cfg.words.length);
+		rememberSettings({ wordList: name });
+		loadedWordList = name;
+		cfg.words = normalizeWords(list.words, { list: name });
+		usedWords = [];
+		buildIndex();
+		logValidation();
+		return Promise.resolve(cfg.words.length);
+	}
+
+	function loadWordsDataIfNeeded() {
+		if (typeof window === "undefined") return Promise.resolve();
+		// words were passed to createQuiz, or the page already provides window.wordsList
+		if (cfg.words && cfg.words.length > 0) return Promise.resolve();
+		if (globalWordsList()) return Promise.resolve();
+		// 前回選んだ自作の単語リストがあればそれを使う
+		if (cfg.persistSettings && getActiveWordList()) return useWordList(getActiveWordList()).then(() => {}, () => {});
+		return loadSections(cfg.sections).then(() => {}, () => {});
+	}
+
+	// ---- Utilities (grouped) ----
+
+	// 出題に使う乱数。回ごとに seed から作り直す (seedSession)
+	let random = Math.random;
+	let sessionSeed = "";
+	// 問題を seed だけで選んだ回か (false なら spacedRepetition の復習期限も使う)
+	let sessionSeeded = false;
+
+	function hasSeed() {
+		return cfg.seed !== null && cfg.seed !== undefined && cfg.seed !== "";
+	}
+
+	// shareable: cfg.seed がなくても、この回は共有できるよう seed だけで問題を選ぶ
+	function seedSession(shareable) {
+		sessionSeeded = hasSeed() || !!shareable;
+		sessionSeed = hasSeed() ? String(cfg.seed) : Math.floor(Math.random() * 4294967296).toString(36);
+		random = createRandom(sessionSeed);
+	}
+
+	function getRandomInt(max) {
+		return Math.floor(random() * max);
+	}
+
+	function shuffleArray(array) {
+		const shuffled = [...array];
+		for (let i = shuffled.length - 1; i > 0; i--) {
+			const j = Math.floor(random() * (i + 1));
+			[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+		}
+		return shuffled;
+	}
+
+	// ---- Question creation & rendering split for readability ----
+	// 品詞で絞り込んだ出題対象の index (該当する単語がなければ全単語)
+	function wordPool() {
+		const all = cfg.words.map((_, i) => i);
+		if (cfg.posFilter.length === 0) return all;
+		const pool = all.filter((i) => cfg.posFilter.includes((cfg.words[i] || [])[3]));
+		return pool.length > 0 ? pool : all;
+	}
+
+	function chooseWordIndex() {
+		if (review) return chooseReviewIndex();
+		const pool = wordPool();
+		// 出題対象をひととおり出したら最初から
+		if (pool.every((i) => usedWords.includes(i))) usedWords = usedWords.filter((i) => !pool.includes(i));
+		const available = pool.filter((i) => !usedWords.includes(i));
+		// 復習期限は学習者ごとに違うので、seed で再現する (共有できる) 回では使わない
+		const chosen = cfg.improvements.spacedRepetition && !sessionSeeded
+			? chooseScheduledIndex(available)
+			: available[getRandomInt(available.length)];
+		usedWords.push(chosen);
+		return chosen;
+	}
+
+	function createChoicesFor(wordIndex) {
+		const word = cfg.words[wordIndex];
+		const correctAnswer = answerText(word);
+
+		// Use indexed candidate indices where possible to limit work on large lists
+		let candidateDistractors = [];
+		try {
+			const candIdx = getCandidateDistractorIndices(wordIndex);
+			candidateDistractors = candIdx.map((i) => cfg.words[i]);
+		} catch (e) {
+			// fallback to full scan
+			candidateDistractors = cfg.words.filter((_, idx) => idx !== wordIndex);
+		}
+
+		if (candidateDistractors.length === 0) candidateDistractors = cfg.words.filter((_, idx) => idx !== wordIndex);
+
+		// 紛らわしい単語 (buildConfusables で計算済み、score の高い順)
+		const confusable = (wordIndexMap.confusables[wordIndex] || []).map((c) => cfg.words[c.index]);
+		if (cfg.difficulty === "easy" || (cfg.difficulty === "normal" && cfg.improvements.avoidSimilarDistractors)) {
+			// easy: 紛らわしい単語と同じ派生語のグループ (correspond / correspondence) を除く
+			const related = new Set(confusable);
+			if (cfg.difficulty === "easy")
+				(wordIndexMap.families.get(wordIndexMap.familyOf[wordIndex]) || []).forEach((i) => related.add(cfg.words[i]));
+			candidateDistractors = candidateDistractors.filter((w) => !related.has(w));
+		}
+
+		let shuffledDistractors = shuffleArray(candidateDistractors);
+		if (cfg.difficulty === "hard") {
+			// hard: 紛らわしい単語から先に使う。上位から必要数の 2 倍をとって混ぜ、毎回同じ組み合わせにならないようにする
+			const picked = shuffleArray(confusable.slice(0, (cfg.selection - 1) * 2));
+			shuffledDistractors = picked.concat(shuffledDistractors.filter((w) => !picked.includes(w)));
+		}
+		const wrongAnswers = [];
+		// 同じ表示になる選択肢は 1 つだけにし、同じ綴りの別品詞 (exhibit 動詞 / 名詞) は誤答に使わない
+		const spelling = (word[0] + "").toLowerCase();
+		const labels = new Set([correctAnswer]);
+		const addWrong = (w) => {
+			const label = answerText(w);
+			if (!label || labels.has(label) || (w[0] + "").toLowerCase() === spelling) return;
+			labels.add(label);
+			wrongAnswers.push(label);
+		};
+		for (let i = 0; i < shuffledDistractors.length && wrongAnswers.length < cfg.selection - 1; i++)
+			addWrong(shuffledDistractors[i]);
+
+		// ensure we have enough choices; if not, pull more from full list (rare)
+		if (wrongAnswers.length < cfg.selection - 1) {
+			const fallback = cfg.words.filter((_, idx) => idx !== wordIndex && !shuffledDistractors.includes(cfg.words[idx]));
+			for (let i = 0; i < fallback.length && wrongAnswers.length < cfg.selection - 1; i++)
+				addWrong(fallback[i]);
+		}
+
+		const choices = shuffleArray([correctAnswer, ...wrongAnswers]);
+		const correctIndex = choices.indexOf(correctAnswer);
+		return { choices, correctIndex, word };
+	}
+
+	/** @returns {Question} */
+	function buildWordQuestion() {
+		const wordIndex = chooseWordIndex();
+		pickDirection();
+		const typed = isTypedMode();
+		// typed モードでは選択肢を作らずボタンを隠す
+		const { choices, correctIndex, word } = typed
+			? { choices: [], correctIndex: -1, word: cfg.words[wordIndex] }
+			: createChoicesFor(wordIndex);
+
+		// Determine POS / hint (supports new array shape where POS is at index 3,
+		// or falls back to a window.wordsMap lookup if present)
+		const legacy = (globalWordsMap() || {})[word && word[0]] || {};
+		const POS = (word && word[3]) || legacy.POS || "";
+		if (cfg.debug) console.debug("selected word:", word, "POS:", POS);
+		return {
+			kind: "word",
+			word,
+			index: wordIndex,
+			prompt: direction === 0 ? message("promptWord", { meaning: meaningOf(word) }) : message("promptMeaning", { word: word[0] }),
+			posText: posText(POS),
+			choices,
+			correctIndex,
+			correctAnswer: answerText(word),
+			hint: (word && word[2]) || legacy.hint || "",
+			typed,
+			direction,
+		};
+	}
+
+	// ---- listening questions and the speaker button ----
+
+	function canSpeak() {
+		try {
+			return !!(cfg.speech && cfg.speech.available());
+		} catch (e) {
+			return false;
+		}
+	}
+
+	/**
+	 * Read a text aloud with the configured rate and voice; without a text, the
+	 * headword of the current question.
+	 * @param {string} [text]
+	 * @returns {Promise<boolean>} false when nothing was spoken
+	 */
+	function speak(text) {
+		const q = currentQuestion;
+		const target = text || (q && q.word ? q.word[0] : "");
+		if (!target || !canSpeak()) return Promise.resolve(false);
+		try {
+			return Promise.resolve(
+				cfg.speech.speak(target, { rate: cfg.speechRate, voice: cfg.speechVoice, lang: cfg.speechLang })
+			).catch(() => false);
+		} catch (e) {
+			if (cfg.debug) console.warn("speech failed:", e);
+			return Promise.resolve(false);
+		}
+	}
+
+	/** @returns {{ name: string, lang: string }[]} voices offered by the speech layer */
+	function getVoices() {
+		try {
+			return canSpeak() ? cfg.speech.voices() : [];
+		} catch (e) {
+			return [];
+		}
+	}
+
+	// 単語を読み上げ、表示はしない。入力モードなら綴り、そうでなければ意味を選ぶ。
+	// 読み上げできない環境では null (単語問題にフォールバック)
+	/** @returns {Question|null} */
+	function buildListeningQuestion() {
+		if (!canSpeak() || cfg.words.length === 0) return null;
+		const wordIndex = chooseWordIndex();
+		direction = cfg.answerInput === "typed" ? 0 : 1;
+		const typed = isTypedMode();
+		const { choices, correctIndex, word } = typed
+			? { choices: [], correctIndex: -1, word: cfg.words[wordIndex] }
+			: createChoicesFor(wordIndex);
+		if (!word) return null;
+		return {
+			kind: "listening",
+			word,
+			index: wordIndex,
+			prompt: message(typed ? "promptListeningWord" : "promptListeningMeaning"),
+			posText: posText(word[3]),
+			choices,
+			correctIndex,
+			correctAnswer: answerText(word),
+			// ヒントに綴りが出ると聞き取りにならないので意味だけにする
+			hint: typed ? meaningOf(word) : "",
+			typed,
+			direction,
+			listen: true,
+		};
+	}
+
+	// 設定された出題形式から 1 つ選ぶ (作れない形式は単語問題にフォールバック)
+	function buildQuestion() {
+		// 復習は単語ごとの正誤を追うので、単語の問題だけにする
+		if (review) return buildWordQuestion();
+		const types = Array.isArray(cfg.questionType) ? cfg.questionType : [cfg.questionType || "word"];
+		const kind = types[getRandomInt(types.length)];
+		let q = null;
+		if (kind === "morpheme") q = buildMorphemeQuestion();
+		else if (kind === "family") q = buildFamilyQuestion();
+		else if (kind === "antonym") q = buildAntonymQuestion();
+		else if (kind === "preposition") q = buildPrepositionQuestion();
+		else if (kind === "listening") q = buildListeningQuestion();
+		return q || buildWordQuestion();
+	}
+
+	// ---- engine API: session flow on top of the selection and scoring code above ----
+
+	let answered = false;
+	let finished = false;
+	let lastStats = null;
+	let sessionId = "";
+	let startedAt = "";
+	/** @type {SinkReport[]|null} null while the results are still being sent */
+	let submissions = null;
+	let submission = Promise.resolve([]);
+
+	// ---- lifecycle events: "question" | "answer" | "hint" | "finish" | "restart" ----
+
+	/** @type {Object<string, Function[]>} */
+	const listeners = {};
+
+	/**
+	 * Subscribe to a lifecycle event.
+	 *  - question: { question, word, choices, correctIndex }
+	 *  - answer:   AnswerOutcome ({ result, word, choices, choiceIndex, correctIndex, ops })
+	 *  - hint:     { hint, question, word }
+	 *  - finish:   { results, stats }  results as returned by getResults()
+	 *  - restart:  { previous }  getResults() of the abandoned or finished session
+	 *  - submit:   { sessionId, reports, payload }  once every result sink has answered
+	 *  - outbox:   { pending, nextRetryAt }  whenever the queue of unsent sessions changes
+	 *  - profile:  { profile }  after switchProfile()
+	 * @returns {Function} call it to unsubscribe
+	 */
+	function on(type, handler) {
+		if (typeof handler !== "function") return () => {};
+		(listeners[type] = listeners[type] || []).push(handler);
+		return () => off(type, handler);
+	}
+
+	function off(type, handler) {
+		const list = listeners[type];
+		if (!list) return;
+		const i = list.indexOf(handler);
+		if (i >= 0) list.splice(i, 1);
+	}
+
+	// a throwing listener must not break the quiz flow
+	function emit(type, detail) {
+		const list = listeners[type];
+		if (!list || list.length === 0) return;
+		for (const handler of list.slice()) {
+			try {
+				handler(detail);
+			} catch (e) {
+				if (cfg.debug) console.warn(`quiz event handler error (${type}):`, e);
+			}
+		}
+	}
+
+	/**
+	 * Load the word data when nothing was passed to the engine: sections from the
+	 * registry, or window.wordsList when the page provides it. With a share link in the
+	 * page URL, its settings and word set are used instead.
+	 * @returns {Promise<number>} number of words available; rejects when the share link
+	 *   names a word list that is not saved on this device
+	 */
+	function loadWords() {
+		const shared = cfg.readShareLink ? applyShareLink() : null;
+		// 共有リンクの単語リストがこの端末になければ、別の単語で出題せずにエラーにする
+		const loading = shared && shared.wordList && !ownWords ? useWordList(shared.wordList) : loadWordsDataIfNeeded();
+		return loading
+			.then(() => {
+				// Only adopt window.wordsList if cfg.words is empty (i.e. no options provided and no imported defaults)
+				if (globalWordsList() && (!cfg.words || !Array.isArray(cfg.words) || cfg.words.length === 0)) {
+					cfg.words = normalizeWords(globalWordsList());
+				}
+			})
+			.finally(() => {
+				// build index for faster candidate lookup on large data
+				try {
+					buildIndex();
+				} catch (e) {
+					// ignore indexing errors
+				}
+				logValidation();
+			})
+			.then(() => (cfg.words ? cfg.words.length : 0));
+	}
+
+	/** validateWords() for the words currently loaded into the engine. */
+	function validate(options) {
+		return validateWords(cfg.words, Object.assign({ locale: cfg.locale, texts: cfg.texts }, options));
+	}
+
+	// the word list that was last reported, so each list is logged once
+	let validatedWords = null;
+
+	// cfg.debug のときだけ、読み込んだ単語データの問題をコンソールに出す
+	function logValidation() {
+		if (!cfg.debug || !cfg.words || cfg.words === validatedWords) return;
+		validatedWords = cfg.words;
+		const report = validate();
+		if (report.issues.length === 0) {
+			console.info(formatValidationReport(report, cfg));
+			return;
+		}
+		console.groupCollapsed(formatValidationReport(report, cfg).split("\n")[0]);
+		report.issues.forEach((i) => (i.level === "error" ? console.error : console.warn)(i.message));
+		console.groupEnd();
+	}
+
+	/**
+	 * Start (or restart) a session and build the first question.
+	 * @param {{ shareable?: boolean }} [options]  shareable: pick the questions from the
+	 *   seed alone, so getShareURL() works even with spacedRepetition on
+	 * @returns {Question|null} null when no words are available
+	 */
+	function start(options = {}) {
+		resetSession(options);
+		if (!cfg.words || cfg.words.length === 0) return null;
+		if (!indexBuilt) buildIndex();
+		armSessionTimer();
+		return changeQuestion();
+	}
+
+	function resetSession(options = {}) {
+		clearTimers();
+		count = 0;
+		results = [];
+		usedWords = [];
+		usedMorphemes = [];
+		finished = false;
+		lastStats = null;
+		currentQuestion = null;
+		review = null;
+		seedSession(options.shareable);
+		sessionId = newSessionId();
+		startedAt = new Date().toISOString();
+		submissions = null;
+		submission = Promise.resolve([]);
+	}
+
+	function newSessionId() {
+		try {
+			if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+		} catch (e) {}
+		return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+	}
+
+	/** Like start(), but tells "restart" listeners first. */
+	function restart(options) {
+		emit("restart", { previous: getResults() });
+		return start(options);
+	}
+
+	// replace the current question without advancing the question counter
+	function changeQuestion() {
+		if (!cfg.words || cfg.words.length === 0) return null;
+		if (cfg.debug) console.debug("changeQuestion: cfg.words[0..3] sample:", cfg.words.slice(0,4));
+		currentQuestion = buildQuestion();
+		hintUsed = false;
+		answered = false;
+		shownAt = Date.now();
+		armQuestionTimer();
+		const question = getCurrentQuestion();
+		emit("question", {
+			question,
+			word: currentQuestion.word,
+			choices: question.choices.slice(),
+			correctIndex: currentQuestion.correctIndex,
+		});
+		return question;
+	}
+
+	/**
+	 * Snapshot of the current question. Besides the Question fields it carries
+	 * number (1-based), total (null in the weak-word review), isLast, answered, hintUsed
+	 * review ({ type, remaining, words } during a review session), deadline (countdown end)
+	 * and sessionDeadline (time-attack end), both epoch ms or null.
+	 */
+	function getCurrentQuestion() {
+		if (!currentQuestion || finished) return null;
+		return Object.assign({}, currentQuestion, {
+			choices: currentQuestion.choices.slice(),
+			number: count + 1,
+			total: plannedCount(),
+			isLast: isLastQuestion(),
+			review: review ? { type: review.type, remaining: reviewRemaining().length, words: review.indices.length } : null,
+			deadline: questionDeadline || null,
+			sessionDeadline: sessionDeadline || null,
+			answered,
+			hintUsed,
+		});
+	}
+
+	/** Mark the hint as used and return its text ("" when the word has no hint). */
+	function useHint() {
+		if (!currentQuestion || finished || !cfg.hints) return null;
+		hintUsed = true;
+		const hint = currentQuestion.hint || "";
+		emit("hint", { hint, question: getCurrentQuestion(), word: currentQuestion.word });
+		return hint;
+	}
+
+	/**
+	 * @typedef {Object} AnswerOutcome
+	 * @property {ResultItem} result
+	 * @property {number} choiceIndex    -1 for typed answers
+	 * @property {number} correctIndex   -1 for typed answers
+	 * @property {Array|null} word       word entry of the question
+	 * @property {string[]} choices      choices shown for the question ([] for typed answers)
+	 * @property {Array=} ops            letter-by-letter diff for typed answers
+	 * @property {boolean} isLast        next() will end the session
+	 */
+
+	/**
+	 * Answer the current question with one of its choices.
+	 * @returns {AnswerOutcome|null} null when there is nothing to answer
+	 */
+	function answer(choiceIndex) {
+		if (!currentQuestion || answered || currentQuestion.typed) return null;
+		if (!(choiceIndex >= 0 && choiceIndex < currentQuestion.choices.length)) return null;
+		const correct = choiceIndex === currentQuestion.correctIndex;
+		return recordAnswer(
+			currentQuestion.choices[choiceIndex],
+			{ grade: correct ? "correct" : "incorrect", credit: correct ? 1 : 0 },
+			choiceIndex
+		);
+	}
+
+	/**
+	 * Answer a typed (spelling) question. Blank input is ignored.
+	 * @returns {AnswerOutcome|null}
+	 */
+	function answerTyped(text) {
+		if (!currentQuestion || answered || !currentQuestion.typed) return null;
+		const typed = (text == null ? "" : text) + "";
+		if (!typed.trim()) return null;
+		return recordAnswer(typed.trim(), gradeTypedAnswer(typed, currentQuestion.correctAnswer), -1);
+	}
+
+	// store the ResultItem for the current question
+	function recordAnswer(answerText, grading, choiceIndex, timedOut) {
+		answered = true;
+		if (questionTimer) clearTimeout(questionTimer);
+		questionTimer = null;
+		/** @type {ResultItem} */
+		const result = {
+			kind: currentQuestion.kind,
+			// 聞き取りの問題文には単語が出ないので、結果には読み上げた単語を残す
+			question: currentQuestion.listen
+				? message("listeningResult", { word: currentQuestion.word[0] })
+				: currentQuestion.prompt,
+			correctAnswer: currentQuestion.correctAnswer,
+			hint: currentQuestion.hint || "",
+			answer: answerText,
+			correct: grading.grade === "correct",
+			hintUsed,
+			grade: grading.grade,
+			credit: grading.credit,
+			section: wordSection(currentQuestion.word),
+			wordId: wordId(currentQuestion.word),
+			word: currentQuestion.word ? currentQuestion.word[0] : undefined,
+			POS: currentQuestion.word ? currentQuestion.word[3] : undefined,
+			ms: Date.now() - shownAt,
+		};
+		if (timedOut) result.timedOut = true;
+		results.push(result);
+		trackReviewAnswer(result);
+		/** @type {AnswerOutcome} */
+		const outcome = {
+			result: Object.assign({}, result),
+			choiceIndex,
+			correctIndex: currentQuestion.correctIndex,
+			word: currentQuestion.word,
+			choices: currentQuestion.choices.slice(),
+			ops: grading.ops,
+			isLast: isLastQuestion(),
+		};
+		emit("answer", outcome);
+		return outcome;
+	}
+
+	/**
+	 * Move on after the current question has been answered.
+	 * @returns {Question|null} the next question, or null once the session is finished
+	 */
+	function next() {
+		if (finished) return null;
+		if (!answered) return getCurrentQuestion();
+		count++;
+		if (timeAttackActive()) return changeQuestion();
+		if (review ? reviewRemaining().length > 0 : count < cfg.questionCount) return changeQuestion();
+		finish();
+		return null;
+	}
+
+	// whether next() will end the session; in the weak-word review that depends on the answer
+	function isLastQuestion() {
+		if (timeAttackActive()) return false;
+		if (!review) return count >= cfg.questionCount - 1;
+		const left = reviewRemaining();
+		if (review.type === "mistakes") return left.length === 0;
+		return answered && left.length === 0;
+	}
+
+	// end of session: send the results and update the persisted stats
+	function finish() {
+		clearTimers();
+		finished = true;
+		currentQuestion = null;
+		submission = submitResults();
+		try {
+			const type = currentSessionType();
+			lastStats =
+				type === "normal"
+					? updateStatsWithSession(results, cfg.questionCount)
+					: updateStatsWithSession(results, type === "timed" ? cfg.questionCount : results.length, type);
+		} catch (e) {
+			lastStats = null;
+		}
+		emit("finish", { results: getResults(), stats: lastStats });
+	}
+
+	/**
+	 * Results of the current (or just finished) session.
+	 * @returns {{ sessionId: string, sessionType: string, seed: string, items: ResultItem[], score: number, questionCount: number, finished: boolean,
+	 *   highScore: number|null, bySection: { section: (string|number), label: string, score: number, total: number }[],
+	 *   submissions: SinkReport[]|null, averageMs: number|null }}
+	 */
+	// high score of the kind of session that just finished (review sessions have none)
+	function sessionHighScore() {
+		if (!lastStats) return null;
+		const type = currentSessionType();
+		if (type === "normal") return typeof lastStats.highScore === "number" ? lastStats.highScore : null;
+		const scores = lastStats.highScores || {};
+		return typeof scores[type] === "number" ? scores[type] : null;
+	}
+
+	function averageMs(items) {
+		const timed = items.filter((r) => typeof r.ms === "number" && !r.timedOut);
+		return timed.length ? Math.round(timed.reduce((sum, r) => sum + r.ms, 0) / timed.length) : null;
+	}
+
+	function getResults() {
+		return {
+			sessionId,
+			sessionType: currentSessionType(),
+			// 同じ seed と設定で同じ問題を再現できる (getShareURL)
+			seed: sessionSeed,
+			items: results.map((r) => Object.assign({}, r)),
+			score: sessionScore(results),
+			questionCount: review || timeAttackActive() ? results.length : cfg.questionCount,
+			finished,
+			highScore: sessionHighScore(),
+			averageMs: averageMs(results),
+			bySection: summarizeBySection(results).map((row) => Object.assign(row, { label: sectionLabel(row.section) })),
+			submissions: submissions ? submissions.slice() : null,
+		};
+	}
+
+	// cfg.sinks (+ formUrl 互換) をまとめた送信先一覧
+	function activeSinks() {
+		const sinks = Array.isArray(cfg.sinks) ? cfg.sinks.filter((s) => s && typeof s.send === "function") : [];
+		if (cfg.formUrl) {
+			const labels = { correct: message("formCorrect"), incorrect: message("formIncorrect"), yes: message("yes"), no: message("no") };
+			sinks.push(googleFormSink({ formUrl: cfg.formUrl, entryIds: cfg.entryIds, labels, locale: cfg.locale, texts: cfg.texts }));
+		}
+		return sinks;
+	}
+
+	/** payload sent to the result sinks for the finished session */
+	function sessionPayload() {
+		return {
+			sessionId,
+			sessionType: currentSessionType(),
+			startedAt,
+			finishedAt: new Date().toISOString(),
+			questionCount: review || timeAttackActive() ? results.length : cfg.questionCount,
+			score: sessionScore(results),
+			mode: cfg.mode,
+			questionType: cfg.questionType,
+			answerInput: cfg.answerInput,
+			sections: parseSectionSpec(cfg.sections) || [],
+			seed: sessionSeed,
+			items: results.map((r) => Object.assign({}, r)),
+		};
+	}
+
+	// send the session to every sink; each one reports back through the "submit" event
+	// and the sinks that failed go to the outbox for a later retry
+	function submitResults() {
+		const sinks = activeSinks();
+		if (sinks.length === 0) {
+			submissions = [];
+			return Promise.resolve(submissions);
+		}
+		const payload = sessionPayload();
+		return Promise.all(sinks.map((sink) => deliverToSink(sink, payload))).then((reports) => {
+			submissions = reports;
+			const failed = reports.filter((r) => !r.ok);
+			failed.forEach((r) => console.error("結果送信エラー", r.sink, r.error));
+			if (failed.length) enqueueFailed(payload, failed);
+			emit("submit", { sessionId: payload.sessionId, reports: reports.slice(), payload });
+			return reports;
+		});
+	}
+
+	// --- outbox: results that could not be sent stay in localStorage until a retry succeeds ---
+	const OUTBOX_KEY = "quiz_module_outbox_v1";
+	const OUTBOX_LIMIT = 50;
+	const RETRY_BASE_MS = 30 * 1000;
+	const RETRY_MAX_MS = 60 * 60 * 1000;
+
+	/**
+	 * @typedef {Object} OutboxEntry
+	 * @property {string} sessionId
+	 * @property {Object} payload        payload built by sessionPayload()
+	 * @property {string[]} sinks        names of the sinks that have not received it yet
+	 * @property {number} attempts
+	 * @property {number} nextAttemptAt  epoch ms
+	 * @property {string=} lastError
+	 */
+
+	/** @returns {OutboxEntry[]} */
+	function loadOutbox() {
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return [];
+			const list = JSON.parse(window.localStorage.getItem(OUTBOX_KEY) || "[]");
+			return Array.isArray(list) ? list : [];
+		} catch (e) {
+			try { window.localStorage.removeItem(OUTBOX_KEY); } catch (e2) {}
+			return [];
+		}
+	}
+	function saveOutbox(list) {
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return;
+			if (list.length === 0) window.localStorage.removeItem(OUTBOX_KEY);
+			else window.localStorage.setItem(OUTBOX_KEY, JSON.stringify(list));
+		} catch (e) {
+			// Storage may be full or blocked; ignore silently
+		}
+	}
+
+	// 30 秒から倍々に延ばし、最大 1 時間
+	function retryDelay(attempts) {
+		return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+	}
+
+	function outboxState(list) {
+		const times = list.map((e) => e.nextAttemptAt).filter((t) => typeof t === "number");
+		return { pending: list.length, nextRetryAt: times.length ? Math.min(...times) : null };
+	}
+
+	// queue the sinks that failed; one entry per session, so a retried session is never queued twice
+	function enqueueFailed(payload, failedReports) {
+		const list = loadOutbox();
+		const names = failedReports.map((r) => r.sink);
+		const lastError = failedReports[failedReports.length - 1].error;
+		const existing = list.find((e) => e.sessionId === payload.sessionId);
+		if (existing) {
+			existing.payload = payload;
+			names.forEach((n) => {
+				if (!existing.sinks.includes(n)) existing.sinks.push(n);
+			});
+			existing.lastError = lastError;
+		} else {
+			list.push({
+				sessionId: payload.sessionId,
+				payload,
+				sinks: names,
+				attempts: 1,
+				nextAttemptAt: Date.now() + retryDelay(1),
+				lastError,
+			});
+		}
+		while (list.length > OUTBOX_LIMIT) list.shift();
+		saveOutbox(list);
+		emit("outbox", outboxState(list));
+	}
+
+	let flushing = null;
+
+	/**
+	 * Retry queued sessions whose backoff has expired (all of them with force).
+	 * Sinks are matched by name against the current cfg.sinks.
+	 * @returns {Promise<{ sent: number, pending: number, nextRetryAt: number|null }>}
+	 */
+	function flushOutbox(force) {
+		if (flushing) return flushing;
+		const now = Date.now();
+		const due = loadOutbox().filter((e) => force || !(e.nextAttemptAt > now));
+		if (due.length === 0) return Promise.resolve(Object.assign({ sent: 0 }, outboxState(loadOutbox())));
+		const sinksByName = {};
+		activeSinks().forEach((s) => {
+			sinksByName[s.name || "sink"] = s;
+		});
+		flushing = Promise.all(
+			due.map((entry) =>
+				Promise.all(
+					entry.sinks.filter((n) => sinksByName[n]).map((n) => deliverToSink(sinksByName[n], entry.payload))
+				).then((reports) => ({ sessionId: entry.sessionId, reports }))
+			)
+		)
+			.then((outcomes) => {
+				// read again: a session may have been queued while we were sending
+				const list = loadOutbox();
+				let sent = 0;
+				outcomes.forEach(({ sessionId, reports }) => {
+					const entry = list.find((e) => e.sessionId === sessionId);
+					if (!entry) return;
+					const delivered = reports.filter((r) => r.ok).map((r) => r.sink);
+					entry.sinks = entry.sinks.filter((n) => !delivered.includes(n));
+					if (entry.sinks.length === 0) {
+						sent++;
+						return;
+					}
+					const failed = reports.filter((r) => !r.ok);
+					if (failed.length) entry.lastError = failed[failed.length - 1].error;
+					entry.attempts++;
+					entry.nextAttemptAt = Date.now() + retryDelay(entry.attempts);
+				});
+				const rest = list.filter((e) => e.sinks.length > 0);
+				saveOutbox(rest);
+				const state = outboxState(rest);
+				emit("outbox", state);
+				return Object.assign({ sent }, state);
+			})
+			.finally(() => {
+				flushing = null;
+			});
+		return flushing;
+	}
+
+	// ---- learner profiles: stats (and with them the review queue) and settings per learner ----
+	const PROFILES_KEY = "quiz_module_profiles_v1";
+	// settings remembered per profile when they change through setConfig / loadSections / useWordList
+	const PROFILE_SETTINGS = [
+		"questionCount",
+		"timed",
+		"sections",
+		"questionType",
+		"answerInput",
+		"mode",
+		"selection",
+		"difficulty",
+		"posFilter",
+		"hints",
+		"speechRate",
+		"speechVoice",
+		"improvements",
+		"wordList",
+	];
+
+	/**
+	 * @typedef {Object} Profile
+	 * @property {string} id
+	 * @property {string} name
+	 * @property {number} createdAt
+	 * @property {Object} settings  values of PROFILE_SETTINGS
+	 */
+
+	/** @type {{ active: string, profiles: Profile[] }|null} */
+	let profileData = null;
+
+	function profiles() {
+		if (profileData) return profileData;
+		let data = null;
+		try {
+			if (typeof window !== "undefined" && window.localStorage) data = JSON.parse(window.localStorage.getItem(PROFILES_KEY) || "null");
+		} catch (e) {
+			// blocked storage: fall back to the in-memory default profile
+			data = null;
+		}
+		profileData = data && Array.isArray(data.profiles) && data.profiles.length > 0 ? data : migrateToProfiles();
+		if (!profileData.profiles.some((p) => p.id === profileData.active)) profileData.active = profileData.profiles[0].id;
+		return profileData;
+	}
+
+	// 初回だけ: プロフィールがなかった頃の記録と単語リストの選択を既定のプロフィールに移す
+	function migrateToProfiles() {
+		const data = { active: "default", profiles: [{ id: "default", name: message("defaultProfile"), createdAt: Date.now(), settings: {} }] };
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return data;
+			const legacy = window.localStorage.getItem(STORAGE_KEY);
+			if (legacy !== null && window.localStorage.getItem(`${STORAGE_KEY}:default`) === null) {
+				window.localStorage.setItem(`${STORAGE_KEY}:default`, legacy);
+				window.localStorage.removeItem(STORAGE_KEY);
 			}
+			const lists = JSON.parse(window.localStorage.getItem(WORDLIST_KEY) || "null");
+			if (lists && lists.active) data.profiles[0].settings.wordList = lists.active;
+			window.localStorage.setItem(PROFILES_KEY, JSON.stringify(data));
+		} catch (e) {
+			// keep working with the in-memory default profile
+		}
+		return data;
+	}
+
+	function saveProfiles() {
+		try {
+			if (typeof window === "undefined" || !window.localStorage) return;
+			window.localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles()));
+		} catch (e) {
+			// Storage may be full or blocked; ignore silently
+		}
+	}
+
+	function activeProfile() {
+		const data = profiles();
+		return data.profiles.find((p) => p.id === data.active);
+	}
+
+	// localStorage key of the active profile's stats
+	function statsKey() {
+		return `${STORAGE_KEY}:${profiles().active}`;
+	}
+
+	function rememberSettings(c) {
+		if (!cfg.persistSettings) return;
+		const settings = activeProfile().settings;
+		let changed = false;
+		for (const key of PROFILE_SETTINGS) {
+			if (!(key in c)) continue;
+			settings[key] = c[key];
+			changed = true;
+		}
+		if (changed) saveProfiles();
+	}
+
+	// page options for the profile settings, so a profile without saved settings gets the page defaults
+	const baseSettings = {};
+	PROFILE_SETTINGS.forEach((key) => {
+		if (key in cfg) baseSettings[key] = cfg[key];
+	});
+	// words passed to the engine are kept when switching profiles
+	const ownWords = cfg.words.length > 0;
+
+	function applyProfileSettings() {
+		if (!cfg.persistSettings) return;
+		const settings = activeProfile().settings;
+		PROFILE_SETTINGS.forEach((key) => {
+			if (key === "wordList") return;
+			if (key in settings) cfg[key] = settings[key];
+			else if (key in baseSettings) cfg[key] = baseSettings[key];
 		});
+		normalizeSettings();
+		buildIndex();
+	}
+
+	/** [{ id, name, createdAt, active }] */
+	function getProfiles() {
+		const data = profiles();
+		return data.profiles.map((p) => ({ id: p.id, name: p.name, createdAt: p.createdAt, active: p.id === data.active }));
+	}
+
+	function getActiveProfile() {
+		const p = activeProfile();
+		return { id: p.id, name: p.name, createdAt: p.createdAt, active: true };
+	}
+
+	/** Add a profile (it does not become active). @returns {{ id: string, name: string }|null} */
+	function createProfile(name) {
+		const profileName = String(name || "").trim();
+		if (!profileName) return null;
+		const id = "p" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+		profiles().profiles.push({ id, name: profileName, createdAt: Date.now(), settings: {} });
+		saveProfiles();
+		return { id, name: profileName };
+	}
+
+	function renameProfile(id, name) {
+		const profileName = String(name || "").trim();
+		const p = profiles().profiles.find((x) => x.id === id);
+		if (!p || !profileName) return false;
+		p.name = profileName;
+		saveProfiles();
+		return true;
+	}
+
+	/**
+	 * Make another profile active: its settings and words are loaded and the session is reset.
+	 * @returns {Promise<number>} number of words available
+	 */
+	function switchProfile(id) {
+		const data = profiles();
+		if (!data.profiles.some((p) => p.id === id)) return Promise.reject(new Error(message("profileMissing", { id })));
+		data.active = id;
+		saveProfiles();
+		resetSession();
+		applyProfileSettings();
+		emit("profile", { profile: getActiveProfile() });
+		if (ownWords) return Promise.resolve(cfg.words.length);
+		const list = getActiveWordList();
+		return list ? useWordList(list) : loadSections(cfg.sections).then(() => cfg.words.length);
+	}
+
+	/**
+	 * Delete a profile and its stats. The last profile cannot be deleted; deleting the
+	 * active one switches to the first remaining profile.
+	 * @returns {Promise<boolean>}
+	 */
+	function deleteProfile(id) {
+		const data = profiles();
+		if (data.profiles.length <= 1 || !data.profiles.some((p) => p.id === id)) return Promise.resolve(false);
+		data.profiles = data.profiles.filter((p) => p.id !== id);
+		try {
+			if (typeof window !== "undefined" && window.localStorage) window.localStorage.removeItem(`${STORAGE_KEY}:${id}`);
+		} catch (e) {}
+		if (data.active !== id) {
+			saveProfiles();
+			return Promise.resolve(true);
+		}
+		return switchProfile(data.profiles[0].id).then(() => true);
+	}
+
+	applyProfileSettings();
+
+	function setConfig(c) {
+		// improvements は一部のフラグだけ渡しても残りを保つ
+		if (c && c.improvements) c = Object.assign({}, c, { improvements: Object.assign({}, cfg.improvements, c.improvements) });
+		Object.assign(cfg, c);
+		if (c && c.texts) cfg.texts = upgradeTexts(c.texts);
+		normalizeSettings();
+		if (c) rememberSettings(c);
+		if (c && c.words) {
+			cfg.words = normalizeWords(c.words);
+			loadedWordList = null;
+		}
+		if (c && c.words) buildIndex();
+		if (c && c.words) logValidation();
+		return getConfig();
+	}
+
+	function getConfig() {
+		return Object.assign({}, cfg);
+	}
+
+	// ---- share links: the same questions and choice order from a URL ----
+
+	/**
+	 * Settings of a share link for the current session: its seed, word set, mode and
+	 * question count, plus the other settings that change which questions are built.
+	 * Words passed directly to the engine are not part of the link.
+	 */
+	function getShareSettings() {
+		const wordSet = currentWordSet();
+		return {
+			seed: sessionSeed,
+			sections: wordSet.sections,
+			wordList: wordSet.wordList,
+			mode: cfg.mode,
+			questionCount: cfg.questionCount,
+			questionType: cfg.questionType,
+			answerInput: cfg.answerInput,
+			selection: cfg.selection,
+			difficulty: cfg.difficulty,
+			posFilter: cfg.posFilter,
+			hints: cfg.hints,
+			timed: cfg.timed || "none",
+			avoidSimilarDistractors: !!cfg.improvements.avoidSimilarDistractors,
+		};
+	}
+
+	/** Whether the current session can be rebuilt from its seed (see getShareURL). */
+	function isShareable() {
+		if (!sessionSeed || review) return false;
+		return sessionSeeded || !cfg.improvements.spacedRepetition;
+	}
+
+	/**
+	 * URL that opens this quiz with the same questions (see decodeShareParams), or null
+	 * when the session cannot be rebuilt from its seed: review sessions, and sessions whose
+	 * words came from the learner's spacedRepetition schedule (start({ shareable: true })
+	 * starts one that can be shared).
+	 * @param {string} [base]  page URL, default location.href
+	 * @returns {string|null}
+	 */
+	function getShareURL(base) {
+		if (!isShareable()) return null;
+		const query = encodeShareParams(getShareSettings());
+		const href = base || (typeof window !== "undefined" && window.location ? window.location.href : "");
+		if (!href) return `?${query}`;
+		const url = new URL(href);
+		Object.values(SHARE_PARAMS).forEach((name) => url.searchParams.delete(name));
+		new URLSearchParams(query).forEach((value, name) => url.searchParams.set(name, value));
+		return url.href;
+	}
+
+	// 共有リンクで開いたときはその設定で出題する。学習者の保存した設定は書き換えない
+	function applyShareLink() {
+		if (typeof window === "undefined" || !window.location) return null;
+		const shared = decodeShareParams(window.location.search);
+		if (!shared) return null;
+		const options = Object.assign({}, shared);
+		delete options.wordList;
+		if (options.improvements) options.improvements = Object.assign({}, cfg.improvements, options.improvements);
+		Object.assign(cfg, options, { persistSettings: false });
+		normalizeSettings();
+		if (cfg.debug) console.debug("share link:", shared);
+		return shared;
+	}
+
+	return {
+		loadWords,
+		start,
+		restart,
+		on,
+		off,
+		changeQuestion,
+		getCurrentQuestion,
+		useHint,
+		answer,
+		answerTyped,
+		next,
+		getResults,
+		getStatsSummary,
+		getStatsBackups,
+		message,
+		posName,
+		speak,
+		canSpeak,
+		getVoices,
+		getShareURL,
+		isShareable,
+		exportStats,
+		importStats,
+		resultsToCSV,
+		weakWordsToAnkiTSV,
+		// resolves with the SinkReport list of the last finished session
+		whenSubmitted: () => submission,
+		flushOutbox,
+		getOutboxState: () => outboxState(loadOutbox()),
+		isFinished: () => finished,
+		getTimeLeft,
+		validate,
+		startMistakesReview,
+		startWeakReview,
+		getReviewCandidates,
+		setConfig,
+		getConfig,
+		getSectionRegistry,
+		getSections: () => parseSectionSpec(cfg.sections) || [],
+		loadSections,
+		getWordLists,
+		getActiveWordList,
+		saveWordList,
+		deleteWordList,
+		useWordList,
+		getProfiles,
+		getActiveProfile,
+		createProfile,
+		renameProfile,
+		switchProfile,
+		deleteProfile,
+	};
+}
+
+function escapeHTML(text) {
+	return String(text).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+// markup built by mount(); the data-ref names are the DomRefs keys (the choice buttons are added by the renderer)
+function mountHTML(message) {
+	const m = (key) => escapeHTML(message(key));
+	return `
+	<button data-ref="statsButton" class="stats-button" aria-label="${m("statsTitle")}" title="${m("statsTitle")}">${m("statsButton")}</button>
+	<span data-ref="pendingIndicator" class="pending-indicator" role="status" hidden></span>
+	<div data-ref="quizScreen" class="quiz-screen">
+		<div class="header">
+			<p data-ref="reviewStatus" class="review-status"></p>
+			<p data-ref="timerDisplay" class="timer-display" aria-live="off"></p>
+			<h3 data-ref="questionText" aria-live="polite"></h3>
+			<button data-ref="speakerButton" class="speaker-button" aria-label="${m("speakLabel")}" title="${m("speakLabel")}" hidden>${m("speak")}</button>
+			<div class="hint-section">
+				<button data-ref="hintButton" class="hint-button">${m("hint")}</button>
+				<p data-ref="hintText" class="hint-text" aria-live="polite"></p>
+			</div>
+		</div>
+		<div class="main">
+			<ul data-ref="choiceList" class="button-list"></ul>
+			<div data-ref="typedAnswer" class="typed-answer" style="display: none">
+				<input data-ref="answerInput" class="answer-input" type="text" autocomplete="off"
+					autocapitalize="off" spellcheck="false" aria-label="${m("typedLabel")}" />
+				<button data-ref="answerSubmit" class="answer-submit">${m("typedSubmit")}</button>
+				<p data-ref="answerDiff" class="answer-diff" aria-live="polite"></p>
+			</div>
+		</div>
+		<div class="footer">
+			<p data-ref="resultText" class="result-text" aria-live="assertive"></p>
+			<button data-ref="nextButton" class="next-button" disabled>${m("next")}</button>
+		</div>
+	</div>
+	<div data-ref="resultScreen" class="result-screen" style="display: none">
+		<div class="header"><h1>${m("resultsTitle")}</h1></div>
+		<div class="main">
+			<div data-ref="scoreDisplay" class="score-display"></div>
+			<p data-ref="sectionSummary" class="section-summary"></p>
+			<p data-ref="submitStatus" class="submit-status" aria-live="polite"></p>
+			<table class="result-table">
+				<thead>
+					<tr><th>${m("colQuestion")}</th><th>${m("colAnswer")}</th><th>${m("colHint")}</th><th>${m("colResponse")}</th><th>${m("colResult")}</th></tr>
+				</thead>
+				<tbody data-ref="resultTableBody"></tbody>
+			</table>
+			<button data-ref="reviewMistakesButton" class="restart-button" style="display: none">${m("reviewMistakes")}</button>
+			<button data-ref="reviewWeakButton" class="restart-button" style="display: none">${m("reviewWeak")}</button>
+			<button data-ref="csvExportButton" class="stats-tool-button">${m("exportCSV")}</button>
+			<button data-ref="restartButton" class="restart-button">${m("restart")}</button>
+		</div>
+	</div>
+	<div data-ref="statsScreen" class="stats-screen" style="display: none">
+		<div class="header"><h1>${m("statsTitle")}</h1></div>
+		<div class="main">
+			<div data-ref="statsContent" class="stats-content"></div>
+			<button data-ref="statsCloseButton" class="restart-button">${m("statsClose")}</button>
+		</div>
+	</div>
+`;
+}
+
+/**
+ * DOM renderer for createQuizEngine(). Takes the same options and wires the
+ * engine to the quiz page elements passed to init(), or builds its own markup
+ * with mount(container).
+ */
+export function createQuiz(options = {}) {
+	const engine = createQuizEngine(options);
+
+	/**
+	 * @typedef {Object} DomRefs
+	 * @property {HTMLElement} questionText
+	 * @property {HTMLElement} hintButton
+	 * @property {HTMLElement} hintText
+	 * @property {HTMLElement[]} selectionButtons
+	 * @property {HTMLElement=} choiceList    parent of the choice buttons; buttons are added here when a question has more choices
+	 * @property {HTMLElement} resultText
+	 * @property {HTMLElement} nextButton
+	 * @property {HTMLElement} quizScreen
+	 * @property {HTMLElement} resultScreen
+	 * @property {HTMLElement} scoreDisplay
+	 * @property {HTMLElement} resultTableBody
+	 * @property {HTMLElement=} restartButton
+	 * @property {HTMLElement=} sectionSummary  per-section score line on the result screen
+	 * @property {HTMLElement=} typedAnswer   container shown instead of the buttons in typed mode
+	 * @property {HTMLInputElement=} answerInput
+	 * @property {HTMLElement=} answerSubmit
+	 * @property {HTMLElement=} answerDiff
+	 * @property {HTMLElement=} submitStatus  result-sink delivery message on the result screen
+	 * @property {HTMLElement=} pendingIndicator  "n件未送信" badge, hidden when the outbox is empty
+	 * @property {HTMLElement=} statsScreen     学習記録 screen
+	 * @property {HTMLElement=} statsContent    filled by showStats()
+	 * @property {HTMLElement=} statsButton     opens the stats screen
+	 * @property {HTMLElement=} statsCloseButton
+	 * @property {HTMLElement=} csvExportButton  saves the result table as CSV
+	 * @property {HTMLElement=} reviewMistakesButton  間違えた問題を復習
+	 * @property {HTMLElement=} reviewWeakButton      苦手な単語を復習
+	 * @property {HTMLElement=} reviewStatus          review progress line above the question
+	 * @property {HTMLElement=} timerDisplay          countdown / time-attack clock
+	 * @property {HTMLElement=} speakerButton         reads the word aloud; hidden when the browser cannot speak
+	 */
+
+	// DOM refs (will be wired by init)
+	/** @type {DomRefs} */
+	let refs = {};
+
+	// focus index for keyboard navigation inside module
+	let focusedIndex = 0;
+
+	// timer for the next outbox retry
+	let retryTimer = null;
+
+	// interval that redraws the countdown while a timed question is open
+	let ticker = null;
+
+	// message in the quiz's locale (see MESSAGES)
+	function msg(key, params) {
+		return engine.message(key, params);
 	}
 
-	function loadWordsDataIfNeeded() {
-		if (typeof window === "undefined") return Promise.resolve();
-		if (window.wordsList && Array.isArray(window.wordsList))
-			return Promise.resolve();
-		// try a few likely relative paths (from quiz.html in Downloads to Desktop)
-		const candidates = [
-			"/words-data-section10.js",
-			"./words-data-section10.js",
-			"../Desktop/words-data-section10.js",
-			"../words-data-section10.js"
-		];
-		// try sequentially until one succeeds or all fail
-		let p = Promise.reject();
-		for (const c of candidates) {
-			p = p.catch(() => loadScript(c).catch(() => Promise.reject()));
-		}
-		// After attempts, give control back and ensure window.wordsList is used if present
-		return p.catch(() => {}).then(() => {});
+	function showHint() {
+		const q = engine.getCurrentQuestion();
+		if (!refs || !q) return;
+		const hint = engine.useHint();
+		if (!refs.hintText) return;
+		const hintText = hint || msg("noHint");
+		const parsed = q.kind === "word" ? parseHint(hintText) : null;
+		if (parsed && parsed.parts.length > 0) renderMorphemeHint(parsed);
+		else refs.hintText.textContent = hintText;
 	}
 
-	// ---- Utilities (grouped) ----
-	function getRandomInt(max) {
-		return Math.floor(Math.random() * max);
+	// "ex-(外に) + hibit(持つ、示す) →「外に示す」" を接頭辞・語根・接尾辞ごとに色分けして表示
+	function renderMorphemeHint(parsed) {
+		refs.hintText.innerHTML = "";
+		parsed.parts.forEach((part, i) => {
+			if (i > 0) refs.hintText.appendChild(document.createTextNode(" + "));
+			const span = document.createElement("span");
+			span.className = `morpheme morpheme-${part.type}`;
+			span.title = msg({ prefix: "morphemePrefix", root: "morphemeRoot", suffix: "morphemeSuffix" }[part.type] || part.type);
+			span.textContent = part.form;
+			const gloss = document.createElement("small");
+			gloss.textContent = `(${part.gloss})`;
+			span.appendChild(gloss);
+			refs.hintText.appendChild(span);
+		});
+		if (parsed.literal) refs.hintText.appendChild(document.createTextNode(msg("hintLiteral", { literal: parsed.literal })));
 	}
 
-	function shuffleArray(array) {
-		const shuffled = [...array];
-		for (let i = shuffled.length - 1; i > 0; i--) {
-			const j = Math.floor(Math.random() * (i + 1));
-			[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+	function selectAnswer(idx) {
+		if (!refs) return;
+		const outcome = engine.answer(idx);
+		if (!outcome) return;
+		// disable all buttons to prevent double answers
+		refs.selectionButtons.forEach((b) => {
+			b.disabled = true;
+			try {
+				b.setAttribute("aria-pressed", "false");
+			} catch (e) {}
+		});
+		const btn = refs.selectionButtons[idx];
+		if (btn) {
+			try {
+				btn.setAttribute("aria-pressed", "true");
+			} catch (e) {}
 		}
-		return shuffled;
+		showFeedback(outcome);
 	}
 
-	// 最長共通部分列の長さ (簡易実装)
-	function longestCommonSubstringLength(a, b) {
-		const m = a.length,
-			n = b.length;
-		const dp = Array(m + 1)
-			.fill(null)
-			.map(() => Array(n + 1).fill(0));
-		let max = 0;
-		for (let i = 1; i <= m; i++) {
-			for (let j = 1; j <= n; j++) {
-				if (a[i - 1] === b[j - 1]) {
-					dp[i][j] = dp[i - 1][j - 1] + 1;
-					if (dp[i][j] > max) max = dp[i][j];
-				}
-			}
+	// show the feedback text for an engine AnswerOutcome
+	function showFeedback(outcome) {
+		const { result } = outcome;
+		if (refs.resultText) {
+			const answer = result.correctAnswer;
+			if (result.correct) refs.resultText.textContent = msg("correct");
+			else if (result.timedOut) refs.resultText.textContent = msg("timeUp", { answer });
+			else if (result.grade === "close") refs.resultText.textContent = msg("close", { answer });
+			else refs.resultText.textContent = msg("incorrect", { answer });
+			const note =
+				result.kind === "word" || result.kind === "listening" ? annotationText(outcome.word, result) : "";
+			if (note) refs.resultText.textContent += msg("annotation", { notes: note });
+		}
+		if (refs.nextButton) {
+			refs.nextButton.disabled = false;
+			refs.nextButton.textContent = msg(outcome.isLast ? "results" : "next");
 		}
-		return max;
+		if (refs.reviewStatus && outcome.result.kind === "word") renderReviewStatus(engine.getCurrentQuestion());
 	}
 
-	// ---- Question creation & rendering split for readability ----
-	function resetUsedWordsIfNeeded(totalWords) {
-		if (usedWords.length === totalWords) usedWords = [];
+	function renderReviewStatus(question) {
+		if (!refs.reviewStatus) return;
+		const info = question && question.review;
+		if (!info) refs.reviewStatus.textContent = "";
+		else if (info.type === "mistakes")
+			refs.reviewStatus.textContent = msg("reviewMistakesStatus", { number: question.number, total: info.words });
+		else
+			refs.reviewStatus.textContent = msg("reviewWeakStatus", {
+				remaining: info.remaining,
+				total: info.words,
+				streak: engine.getConfig().review.streak,
+			});
 	}
 
-	function chooseWordIndex() {
-		const words = cfg.words;
-		resetUsedWordsIfNeeded(words.length);
-		const available = [];
-		for (let i = 0; i < words.length; i++)
-			if (!usedWords.includes(i)) available.push(i);
-		const chosen = available[getRandomInt(available.length)];
-		usedWords.push(chosen);
-		return chosen;
+	// 解答後に表示する注記: "反意語: weaken / 前置詞: with, to"
+	// 聞き取りの問題では読み上げた単語も見せる
+	function annotationText(word, result) {
+		const meta = (word && word[4]) || {};
+		const notes = [];
+		if (result && result.kind === "listening" && word && result.correctAnswer !== word[0])
+			notes.push(msg("noteHeard", { word: word[0] }));
+		if (meta.antonyms && meta.antonyms.length) notes.push(msg("noteAntonyms", { words: meta.antonyms.join(", ") }));
+		if (meta.synonyms && meta.synonyms.length) notes.push(msg("noteSynonyms", { words: meta.synonyms.join(", ") }));
+		if (meta.prepositions && meta.prepositions.length) notes.push(msg("notePrepositions", { words: meta.prepositions.join(", ") }));
+		return notes.join(" / ");
 	}
 
-	function createChoicesFor(wordIndex) {
-		const word = cfg.words[wordIndex];
-		const correctAnswer = word[cfg.mode];
-
-		// Use indexed candidate indices where possible to limit work on large lists
-		let candidateDistractors = [];
-		try {
-			const candIdx = getCandidateDistractorIndices(wordIndex);
-			candidateDistractors = candIdx.map((i) => cfg.words[i]);
-		} catch (e) {
-			// fallback to full scan
-			candidateDistractors = cfg.words.filter((_, idx) => idx !== wordIndex);
+	function renderSpellingDiff(ops) {
+		if (!refs.answerDiff) return;
+		refs.answerDiff.innerHTML = "";
+		for (const o of ops) {
+			const span = document.createElement("span");
+			span.className = `diff-${o.op}`;
+			span.textContent = o.op === "extra" ? o.actual : o.expected;
+			if (o.op === "replace") span.title = msg("typedInput", { input: o.actual });
+			refs.answerDiff.appendChild(span);
 		}
+	}
 
-		if (candidateDistractors.length === 0) candidateDistractors = cfg.words.filter((_, idx) => idx !== wordIndex);
-
-		if (cfg.improvements.avoidSimilarDistractors) {
-			const target = (correctAnswer + "").toLowerCase();
-			candidateDistractors = candidateDistractors.filter((w) => {
-				const candidate = (w[cfg.mode] + "").toLowerCase();
-				const common = longestCommonSubstringLength(target, candidate);
-				return common < Math.max(3, Math.floor(target.length / 2));
-			});
+	function submitTypedAnswer() {
+		if (!refs || !refs.answerInput) return;
+		if (refs.answerInput.disabled) return;
+		const outcome = engine.answerTyped(refs.answerInput.value || "");
+		if (!outcome) {
+			refs.answerInput.focus();
+			return;
 		}
+		refs.answerInput.disabled = true;
+		if (refs.answerSubmit) refs.answerSubmit.disabled = true;
+		showFeedback(outcome);
+		if (outcome.result.grade !== "correct" && outcome.ops) renderSpellingDiff(outcome.ops);
+		if (refs.nextButton) refs.nextButton.focus();
+	}
 
-		const shuffledDistractors = shuffleArray(candidateDistractors);
-		const wrongAnswers = [];
-		for (let i = 0; i < cfg.selection - 1 && i < shuffledDistractors.length; i++)
-			wrongAnswers.push(shuffledDistractors[i][cfg.mode]);
+	function renderTypedAnswer(active) {
+		if (!refs.typedAnswer) return;
+		refs.typedAnswer.style.display = active ? "block" : "none";
+		if (refs.answerDiff) refs.answerDiff.innerHTML = "";
+		if (!active || !refs.answerInput) return;
+		refs.answerInput.value = "";
+		refs.answerInput.disabled = false;
+		if (refs.answerSubmit) refs.answerSubmit.disabled = false;
+		try {
+			refs.answerInput.focus();
+		} catch (e) {}
+	}
 
-		// ensure we have enough choices; if not, pull more from full list (rare)
-		if (wrongAnswers.length < cfg.selection - 1) {
-			const fallback = cfg.words.filter((_, idx) => idx !== wordIndex && !shuffledDistractors.includes(cfg.words[idx]));
-			for (let i = 0; i < fallback.length && wrongAnswers.length < cfg.selection - 1; i++)
-				wrongAnswers.push(fallback[i][cfg.mode]);
-		}
+	function wireChoiceButton(btn, idx) {
+		btn.addEventListener("click", () => selectAnswer(idx));
+		btn.addEventListener("keydown", handleKeydown);
+		btn.addEventListener("focus", () => {
+			focusedIndex = idx;
+		});
+	}
 
-		const choices = shuffleArray([correctAnswer, ...wrongAnswers]);
-		const correctIndex = choices.indexOf(correctAnswer);
-		return { choices, correctIndex, word };
+	// 選択肢の数 (cfg.selection) がボタンより多いときは choiceList にボタンを足す
+	function ensureChoiceButtons(count) {
+		if (!refs.choiceList) return;
+		while (refs.selectionButtons.length < count) {
+			const btn = document.createElement("button");
+			btn.className = "selection-button";
+			btn.setAttribute("role", "button");
+			btn.setAttribute("aria-pressed", "false");
+			const item = document.createElement("li");
+			item.appendChild(btn);
+			refs.choiceList.appendChild(item);
+			wireChoiceButton(btn, refs.selectionButtons.length);
+			refs.selectionButtons.push(btn);
+		}
 	}
 
 	function renderChoices(choices) {
+		ensureChoiceButtons(choices.length);
 		for (let i = 0; i < refs.selectionButtons.length; i++) {
 			const btn = refs.selectionButtons[i];
 			if (i < choices.length) {
@@ -501,18 +4242,18 @@ export function createQuiz(options = {}) {
 	}
 
 	// Show friendly message and disable UI when no words are available
-	function showNoData() {
+	// text: 単語がない理由 (共有リンクの単語リストがない など)。既定は noData
+	function showNoData(text) {
 		if (!refs) return;
-		if (refs.questionText)
-			refs.questionText.textContent =
-				"単語データが見つかりません。words-data.js を読み込むか、createQuiz に words を渡してください。";
+		if (refs.questionText) refs.questionText.textContent = text || msg("noData");
 		if (refs.hintText) refs.hintText.textContent = "";
 		if (refs.hintButton) refs.hintButton.disabled = true;
+		if (refs.speakerButton) refs.speakerButton.hidden = true;
 		if (Array.isArray(refs.selectionButtons)) {
 			refs.selectionButtons.forEach((b) => {
 				try {
 					b.disabled = true;
-					b.textContent = "（データなし）";
+					b.textContent = msg("noDataChoice");
 				} catch (e) {}
 			});
 		}
@@ -521,43 +4262,81 @@ export function createQuiz(options = {}) {
 			refs.nextButton.textContent = "";
 		}
 		if (refs.resultText) refs.resultText.textContent = "";
+		if (refs.typedAnswer) refs.typedAnswer.style.display = "none";
 	}
 
-	function changeQuestion() {
-		if (cfg.debug) console.debug("changeQuestion: cfg.words[0..3] sample:", cfg.words.slice(0,4));
-		const wordIndex = chooseWordIndex();
-		const { choices, correctIndex, word } = createChoicesFor(wordIndex);
-		currentQuestion = { word, index: wordIndex };
-
-		// Set question text
-		// Determine POS (supports new array shape where POS is at index 3,
-		// or falls back to a window.wordsMap lookup if present)
-		const POS =
-			(word && word[3]) ||
-			(typeof window !== "undefined" &&
-				window.wordsMap &&
-				window.wordsMap[word && word[0]] &&
-				window.wordsMap[word[0]].POS) ||
-			"";
-		if (cfg.debug) console.debug("selected word:", word, "POS:", POS);
-		const posText = POS ? `（${POS}）` : "";
-
-		if (cfg.mode === 0)
-			refs.questionText.textContent = `「${word[1]}」の英単語は？ ${posText}`;
-		else refs.questionText.textContent = `「${word[0]}」の意味は？ ${posText}`;
-
-		correctAnswerIndex = correctIndex;
-		renderChoices(choices);
+	/** @param {Question} question  as returned by engine.getCurrentQuestion() */
+	function renderQuestion(question) {
+		if (!question) {
+			showNoData();
+			return;
+		}
+		refs.questionText.textContent = `${question.prompt} ${question.posText}`;
+		renderChoices(question.choices);
+		renderTypedAnswer(question.typed);
+		if (refs.hintButton) refs.hintButton.style.display = engine.getConfig().hints ? "" : "none";
+		if (refs.speakerButton) refs.speakerButton.hidden = !(question.word && engine.canSpeak());
+		// 聞き取りの問題は表示と同時に読み上げる (もう一度聞くときはスピーカーボタン)
+		if (question.listen) engine.speak();
 
-		hintUsed = false;
 		refs.hintText.textContent = "";
 		refs.resultText.textContent = "";
 		refs.nextButton.disabled = true;
-		refs.nextButton.textContent =
-			count < cfg.questionCount - 1 ? cfg.texts.next : cfg.texts.results;
+		refs.nextButton.textContent = msg(question.isLast ? "results" : "next");
+		renderReviewStatus(question);
+		startTicker();
+	}
+
+	function startTicker() {
+		renderTimer();
+		if (ticker || typeof setInterval === "undefined") return;
+		const left = engine.getTimeLeft();
+		if (left.question === null && left.session === null) return;
+		ticker = setInterval(renderTimer, 250);
+	}
+
+	function stopTicker() {
+		if (ticker) clearInterval(ticker);
+		ticker = null;
+	}
+
+	function renderTimer() {
+		const left = engine.getTimeLeft();
+		if (left.question === null && left.session === null) {
+			if (refs.timerDisplay) refs.timerDisplay.textContent = "";
+			// タイムアタック中は解答後も時計を止めない
+			stopTicker();
+			return;
+		}
+		if (!refs.timerDisplay) return;
+		const parts = [];
+		if (left.session !== null)
+			parts.push(msg("timerSession", { seconds: Math.ceil(left.session / 1000), score: engine.getResults().score }));
+		if (left.question !== null) parts.push(msg("timerQuestion", { seconds: Math.ceil(left.question / 1000) }));
+		refs.timerDisplay.textContent = parts.join(msg("timerSeparator"));
+		refs.timerDisplay.classList.toggle("timer-urgent", left.question !== null && left.question <= 3000);
+	}
+
+	// 制限時間切れ: 解答済みと同じ状態にして正解を表示する
+	function showTimeout(outcome) {
+		refs.selectionButtons.forEach((b) => {
+			b.disabled = true;
+		});
+		if (refs.answerInput) refs.answerInput.disabled = true;
+		if (refs.answerSubmit) refs.answerSubmit.disabled = true;
+		showFeedback(outcome);
+		renderTimer();
+		if (refs.nextButton) refs.nextButton.focus();
+	}
+
+	function changeQuestion() {
+		renderQuestion(engine.changeQuestion());
 	}
+
 	function handleKeydown(e) {
-		const len = refs.selectionButtons.length;
+		// 表示中の選択肢だけを移動する (選択肢の数は設定で変わる)
+		const question = engine.getCurrentQuestion();
+		const len = Math.min(refs.selectionButtons.length, (question && question.choices.length) || refs.selectionButtons.length);
 		if (e.key === "ArrowRight" || e.key === "ArrowDown") {
 			focusedIndex = (focusedIndex + 1) % len;
 			refs.selectionButtons[focusedIndex].focus();
@@ -579,138 +4358,556 @@ export function createQuiz(options = {}) {
 		}
 	}
 
+	// the result screen is shown from the "finish" event, which also covers the end of a time attack
 	function nextQuestion() {
-		count++;
-		if (count < cfg.questionCount) changeQuestion();
-		else showResults();
+		const question = engine.next();
+		if (question) renderQuestion(question);
 	}
 
 	function showResults() {
-		if (cfg.formUrl) sendResultsToGoogleForm(results);
+		stopTicker();
+		if (refs.timerDisplay) refs.timerDisplay.textContent = "";
 		refs.quizScreen.style.display = "none";
 		refs.resultScreen.style.display = "block";
 
-		const correctAnswers = results.filter((r) => r.correct).length;
-		// update local stats and show past high score if available
-		let stats = null;
-		try {
-			stats = updateStatsWithSession(results, cfg.questionCount);
-		} catch (e) {
-			stats = null;
+		const summary = engine.getResults();
+		const high = summary.highScore;
+		if (summary.sessionType === "timeAttack") {
+			refs.scoreDisplay.textContent =
+				msg("timeAttackScore", { seconds: engine.getConfig().timeAttackSeconds, score: summary.score, answered: summary.questionCount }) +
+				(high !== null ? msg("timeAttackHighScore", { high }) : "");
+		} else {
+			refs.scoreDisplay.textContent =
+				msg("score", { score: summary.score, total: summary.questionCount }) +
+				(high !== null ? msg("highScore", { high, total: summary.questionCount }) : "");
+		}
+		if (summary.averageMs !== null)
+			refs.scoreDisplay.textContent += msg("averageTime", { seconds: (summary.averageMs / 1000).toFixed(1) });
+		if (refs.sectionSummary) {
+			const sections = summary.bySection.map((row) => `${row.label} ${row.score} / ${row.total}`).join(msg("listSeparator"));
+			refs.sectionSummary.textContent = summary.bySection.length > 1 ? msg("bySection", { sections }) : "";
 		}
-		const highText = stats && typeof stats.highScore === 'number' ? ` (過去最高: ${stats.highScore} / ${cfg.questionCount})` : "";
-		refs.scoreDisplay.textContent = `あなたのスコアは ${correctAnswers} / ${cfg.questionCount} です。` + highText;
 
 		refs.resultTableBody.innerHTML = "";
-		results.forEach((result) => {
-			const row = document.createElement("tr");
-			row.innerHTML = `<td>${result.question}</td><td>${
-				result.correctAnswer
-			}</td><td>${result.hint}</td><td>${result.answer}</td><td style="color: ${
-				result.correct ? "#87ceeb" : "#000000"
-			}; font-weight: bold;">${result.correct ? "○" : "×"}</td>`;
+		summary.items.forEach((result) => {
+			// 単語データ (取り込んだリスト) や入力した解答はそのまま文字列として表示する
+			const row = el("tr");
+			[result.question, result.correctAnswer, result.hint, result.answer].forEach((text) =>
+				row.appendChild(el("td", "", text === undefined || text === null ? "" : String(text)))
+			);
+			const mark = el("td", "", result.correct ? "○" : result.grade === "close" ? "△" : "×");
+			mark.style.color = result.correct ? "#87ceeb" : result.grade === "close" ? "#f0a500" : "#000000";
+			mark.style.fontWeight = "bold";
+			row.appendChild(mark);
 			refs.resultTableBody.appendChild(row);
 		});
+		renderSubmitStatus(null);
+		engine.whenSubmitted().then(renderSubmitStatus);
+		renderReviewButtons(summary);
+	}
+
+	// 「間違えた問題を復習」は今回の不正解がある時だけ、「苦手な単語を復習」は候補がある時だけ表示
+	function renderReviewButtons(summary) {
+		if (refs.reviewMistakesButton) {
+			const wrong = summary.items.filter((r) => !r.correct && r.wordId).length;
+			refs.reviewMistakesButton.style.display = wrong > 0 ? "" : "none";
+		}
+		if (refs.reviewWeakButton) {
+			const weak = engine.getReviewCandidates().length;
+			refs.reviewWeakButton.style.display = weak > 0 ? "" : "none";
+			refs.reviewWeakButton.textContent = msg("reviewWeakCount", { count: weak });
+		}
+	}
+
+	function startReview(question) {
+		if (!question) return;
+		focusedIndex = 0;
+		refs.quizScreen.style.display = "block";
+		refs.resultScreen.style.display = "none";
+		if (refs.statsScreen) refs.statsScreen.style.display = "none";
+		screenBeforeStats = null;
+		renderQuestion(question);
+	}
+
+	function reviewMistakes() {
+		startReview(engine.startMistakesReview());
+	}
+
+	function reviewWeakWords() {
+		startReview(engine.startWeakReview());
+	}
+
+	// reports: SinkReport[] (null = still sending)
+	function renderSubmitStatus(reports) {
+		if (!refs.submitStatus) return;
+		if (!reports || reports.length === 0) refs.submitStatus.textContent = "";
+		else refs.submitStatus.textContent = msg(reports.every((r) => r.ok) ? "submitted" : "submitFailed");
+	}
+
+	// ---- 学習記録 (stats screen) ----
+
+	// screen that was visible before the stats screen was opened
+	let screenBeforeStats = null;
+
+	function percent(ratio) {
+		return `${Math.round(ratio * 100)}%`;
+	}
+
+	function el(tag, className, text) {
+		const node = document.createElement(tag);
+		if (className) node.className = className;
+		if (text !== undefined) node.textContent = text;
+		return node;
+	}
+
+	function showStats() {
+		if (!refs.statsScreen || !refs.statsContent) return;
+		if (refs.statsScreen.style.display !== "block") {
+			screenBeforeStats = [refs.quizScreen, refs.resultScreen].find((s) => s && s.style.display !== "none") || refs.quizScreen;
+			refs.quizScreen.style.display = "none";
+			refs.resultScreen.style.display = "none";
+		}
+		renderStats(engine.getStatsSummary());
+		refs.statsScreen.style.display = "block";
+		if (refs.statsCloseButton) refs.statsCloseButton.focus();
+	}
+
+	function hideStats() {
+		if (!refs.statsScreen) return;
+		refs.statsScreen.style.display = "none";
+		if (screenBeforeStats) screenBeforeStats.style.display = "block";
+		screenBeforeStats = null;
 	}
 
-	async function sendResultsToGoogleForm(data) {
-		if (!cfg.formUrl) return;
-		const FORM_URL = cfg.formUrl;
-		const ENTRY_IDS = Object.assign(
-			{
-				question: "entry.962079362",
-				correctAnswer: "entry.1340806833",
-				answer: "entry.835875996",
-				correct: "entry.1281843140",
-				hintUsed: "entry.229618259",
-			},
-			cfg.entryIds
+	function renderStats(summary) {
+		const root = refs.statsContent;
+		root.innerHTML = "";
+		renderStatsTools(root);
+		if (summary.totalSessions === 0 && summary.totalWords === 0) {
+			root.appendChild(el("p", "stats-empty", msg("statsEmpty")));
+			return;
+		}
+
+		root.appendChild(
+			el(
+				"p",
+				"stats-totals",
+				msg("statsTotals", {
+					words: summary.totalWords,
+					attempts: summary.totalAttempts,
+					sessions: summary.totalSessions,
+					high: summary.highScore,
+				})
+			)
 		);
-		for (const item of data) {
-			const formData = new FormData();
-			formData.append(ENTRY_IDS.question, item.question);
-			formData.append(ENTRY_IDS.correctAnswer, item.correctAnswer);
-			formData.append(ENTRY_IDS.answer, item.answer);
-			formData.append(ENTRY_IDS.correct, item.correct ? "正解" : "不正解");
-			formData.append(ENTRY_IDS.hintUsed, item.hintUsed ? "はい" : "いいえ");
-			try {
-				await fetch(FORM_URL, {
-					method: "POST",
-					body: formData,
-					mode: "no-cors",
-				});
-			} catch (err) {
-				console.error("フォーム送信エラー", err);
-			}
+		if (summary.highScores.timed || summary.highScores.timeAttack)
+			root.appendChild(el("p", "stats-totals", msg("statsTimedTotals", summary.highScores)));
+
+		root.appendChild(el("h3", "", msg("statsHistory")));
+		root.appendChild(renderHistoryChart(summary.history));
+
+		root.appendChild(el("h3", "", msg("statsByPOS")));
+		root.appendChild(
+			renderTable(
+				[msg("colPOS"), msg("colAttempts"), msg("colAccuracy")],
+				summary.byPOS.map((p) => [engine.posName(p.POS), p.attempts, percent(p.accuracy)])
+			)
+		);
+
+		root.appendChild(el("h3", "", msg("statsWeakest", { count: summary.weakest.length })));
+		root.appendChild(
+			summary.weakest.length
+				? renderTable(
+						[msg("colWord"), msg("colPOS"), msg("colCorrectOf"), msg("colAccuracy"), msg("colAvgTime")],
+						summary.weakest.map((w) => [
+							w.word,
+							engine.posName(w.POS),
+							`${w.correct} / ${w.attempts}`,
+							percent(w.accuracy),
+							w.avgMs === null ? "-" : msg("seconds", { seconds: (w.avgMs / 1000).toFixed(1) }),
+						])
+				  )
+				: el("p", "stats-empty", msg("statsNoWeak"))
+		);
+
+		root.appendChild(el("h3", "", msg("statsHintHeavy")));
+		root.appendChild(
+			summary.hintHeavy.length
+				? renderTable(
+						[msg("colWord"), msg("colPOS"), msg("colHintOf")],
+						summary.hintHeavy.map((w) => [w.word, engine.posName(w.POS), `${w.hintUsed} / ${w.attempts}`])
+				  )
+				: el("p", "stats-empty", msg("statsNoHintHeavy"))
+		);
+	}
+
+	// save text as a file through a temporary <a download> link
+	function downloadText(filename, text, type) {
+		if (typeof Blob === "undefined" || typeof URL === "undefined" || !URL.createObjectURL) return;
+		const url = URL.createObjectURL(new Blob([text], { type }));
+		const a = document.createElement("a");
+		a.href = url;
+		a.download = filename;
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	}
+
+	function dateStamp() {
+		return new Date().toISOString().slice(0, 10);
+	}
+
+	function exportResultsCSV() {
+		// Excel で文字化けしないよう BOM を付ける
+		downloadText(`quiz-results-${dateStamp()}.csv`, "\ufeff" + engine.resultsToCSV(), "text/csv");
+	}
+
+	// 書き出し・読み込みボタン。読み込みはファイル選択後に mode ("merge" | "replace") で取り込む
+	function renderStatsTools(root) {
+		const tools = el("div", "stats-tools");
+		const exportButton = el("button", "stats-tool-button", msg("statsExportJSON"));
+		exportButton.addEventListener("click", () =>
+			downloadText(`quiz-stats-${dateStamp()}.json`, engine.exportStats(), "application/json")
+		);
+		const ankiButton = el("button", "stats-tool-button", msg("statsExportAnki"));
+		ankiButton.addEventListener("click", () =>
+			downloadText(`quiz-weak-words-${dateStamp()}.txt`, engine.weakWordsToAnkiTSV(), "text/tab-separated-values")
+		);
+		const file = el("input");
+		file.type = "file";
+		file.accept = "application/json,.json";
+		file.style.display = "none";
+		let importMode = "merge";
+		file.addEventListener("change", () => {
+			const picked = file.files && file.files[0];
+			file.value = "";
+			if (!picked) return;
+			picked.text().then((text) => {
+				const outcome = engine.importStats(text, { mode: importMode });
+				showStats();
+				const message = outcome.ok ? msg("statsImported", outcome) : msg("statsImportFailed", { error: outcome.error });
+				const note = el("p", outcome.ok ? "stats-message" : "stats-message stats-error", message);
+				refs.statsContent.insertBefore(note, refs.statsContent.firstChild);
+			});
+		});
+		const mergeButton = el("button", "stats-tool-button", msg("statsImportMerge"));
+		mergeButton.addEventListener("click", () => {
+			importMode = "merge";
+			file.click();
+		});
+		const replaceButton = el("button", "stats-tool-button", msg("statsImportReplace"));
+		replaceButton.addEventListener("click", () => {
+			importMode = "replace";
+			file.click();
+		});
+		const reviewButton = el("button", "stats-tool-button", msg("reviewWeak"));
+		reviewButton.disabled = engine.getReviewCandidates().length === 0;
+		reviewButton.addEventListener("click", reviewWeakWords);
+		tools.append(reviewButton, exportButton, ankiButton, mergeButton, replaceButton, file);
+		root.appendChild(tools);
+	}
+
+	function renderTable(headers, rows) {
+		const table = el("table", "result-table stats-table");
+		const head = el("tr");
+		headers.forEach((h) => head.appendChild(el("th", "", h)));
+		const thead = el("thead");
+		thead.appendChild(head);
+		table.appendChild(thead);
+		const tbody = el("tbody");
+		rows.forEach((cells) => {
+			const tr = el("tr");
+			cells.forEach((c) => tr.appendChild(el("td", "", String(c))));
+			tbody.appendChild(tr);
+		});
+		table.appendChild(tbody);
+		return table;
+	}
+
+	// 正答率 (0〜100%) の折れ線グラフを SVG で描く。横軸は受験順、点にカーソルを合わせると日時とスコア
+	function renderHistoryChart(history) {
+		const SVG_NS = "http://www.w3.org/2000/svg";
+		const W = 600;
+		const H = 200;
+		const PAD = 30;
+		const locale = engine.getConfig().locale;
+		const svg = document.createElementNS(SVG_NS, "svg");
+		svg.setAttribute("viewBox", `0 0 ${W} ${H}`);
+		svg.setAttribute("class", "stats-chart");
+		svg.setAttribute("role", "img");
+		svg.setAttribute("aria-label", msg("statsHistory"));
+		const svgEl = (tag, attrs) => {
+			const node = document.createElementNS(SVG_NS, tag);
+			Object.keys(attrs).forEach((k) => node.setAttribute(k, attrs[k]));
+			svg.appendChild(node);
+			return node;
+		};
+		const x = (i) => (history.length > 1 ? PAD + (i * (W - PAD * 2)) / (history.length - 1) : W / 2);
+		const y = (ratio) => H - PAD - ratio * (H - PAD * 2);
+
+		[0, 0.5, 1].forEach((r) => {
+			svgEl("line", { x1: PAD, x2: W - PAD, y1: y(r), y2: y(r), class: "stats-chart-grid" });
+			svgEl("text", { x: 2, y: y(r) + 4, class: "stats-chart-label" }).textContent = percent(r);
+		});
+		if (history.length > 1)
+			svgEl("polyline", {
+				points: history.map((s, i) => `${x(i)},${y(s.ratio)}`).join(" "),
+				class: "stats-chart-line",
+			});
+		history.forEach((s, i) => {
+			const dot = svgEl("circle", { cx: x(i), cy: y(s.ratio), r: 4, class: "stats-chart-dot" });
+			const title = document.createElementNS(SVG_NS, "title");
+			title.textContent = `${new Date(s.ts).toLocaleString(locale)} ${s.score} / ${s.questionCount}`;
+			dot.appendChild(title);
+		});
+		if (history.length > 0) {
+			svgEl("text", { x: PAD, y: H - 6, class: "stats-chart-label" }).textContent = new Date(history[0].ts).toLocaleDateString(locale);
+			svgEl("text", { x: W - PAD, y: H - 6, class: "stats-chart-label", "text-anchor": "end" }).textContent = new Date(
+				history[history.length - 1].ts
+			).toLocaleDateString(locale);
 		}
+		return svg;
 	}
 
-	function restartQuiz() {
-		count = 0;
-		results = [];
-		usedWords = [];
+	/** Switch the learner profile and start a new quiz with that profile's words and settings. */
+	function switchProfile(id) {
+		return engine.switchProfile(id).then(() => restartQuiz());
+	}
+
+	// deleting the active profile switches to another one, which needs a new quiz
+	function deleteProfile(id) {
+		const wasActive = engine.getActiveProfile().id === id;
+		return engine.deleteProfile(id).then((ok) => {
+			if (ok && wasActive) restartQuiz();
+			return ok;
+		});
+	}
+
+	/** @param {{ shareable?: boolean }} [options]  see engine.start() */
+	function restartQuiz(options) {
 		focusedIndex = 0;
 		refs.quizScreen.style.display = "block";
 		refs.resultScreen.style.display = "none";
-		changeQuestion();
+		if (refs.statsScreen) refs.statsScreen.style.display = "none";
+		screenBeforeStats = null;
+		renderQuestion(engine.restart(options));
 	}
 
 	function attachUIEvents() {
 		refs.hintButton.addEventListener("click", showHint);
-		refs.selectionButtons.forEach((btn, idx) => {
-			btn.addEventListener("click", () => selectAnswer(idx));
-			btn.addEventListener("keydown", handleKeydown);
-			btn.addEventListener("focus", () => {
-				focusedIndex = idx;
-			});
-		});
+		if (refs.speakerButton) refs.speakerButton.addEventListener("click", () => engine.speak());
+		refs.selectionButtons.forEach(wireChoiceButton);
 		refs.nextButton.addEventListener("click", nextQuestion);
+		if (refs.answerSubmit) refs.answerSubmit.addEventListener("click", submitTypedAnswer);
+		if (refs.answerInput)
+			refs.answerInput.addEventListener("keydown", (e) => {
+				if (e.key === "Enter") {
+					submitTypedAnswer();
+					e.preventDefault();
+				}
+			});
 		if (refs.restartButton)
-			refs.restartButton.addEventListener("click", restartQuiz);
+			refs.restartButton.addEventListener("click", () => restartQuiz());
+		if (refs.statsButton) refs.statsButton.addEventListener("click", showStats);
+		if (refs.statsCloseButton) refs.statsCloseButton.addEventListener("click", hideStats);
+		if (refs.csvExportButton) refs.csvExportButton.addEventListener("click", exportResultsCSV);
+		if (refs.reviewMistakesButton) refs.reviewMistakesButton.addEventListener("click", reviewMistakes);
+		if (refs.reviewWeakButton) refs.reviewWeakButton.addEventListener("click", reviewWeakWords);
+	}
+
+	function renderPending(state) {
+		if (!refs.pendingIndicator) return;
+		refs.pendingIndicator.textContent = state.pending > 0 ? msg("pending", { count: state.pending }) : "";
+		refs.pendingIndicator.hidden = state.pending === 0;
+	}
+
+	function watchEngine() {
+		engine.on("timeout", showTimeout);
+		engine.on("finish", showResults);
+	}
+
+	// show the outbox size and retry when its backoff runs out or the connection comes back
+	function watchOutbox() {
+		engine.on("outbox", (state) => {
+			renderPending(state);
+			scheduleRetry(state);
+		});
+		const state = engine.getOutboxState();
+		renderPending(state);
+		if (typeof window === "undefined") return;
+		window.addEventListener("online", () => engine.flushOutbox(true));
+		if (state.pending > 0) engine.flushOutbox(false).then(scheduleRetry);
+	}
+
+	function scheduleRetry(state) {
+		if (typeof window === "undefined") return;
+		if (retryTimer) clearTimeout(retryTimer);
+		retryTimer = null;
+		if (!state.pending || state.nextRetryAt === null) return;
+		const wait = Math.max(1000, state.nextRetryAt - Date.now());
+		retryTimer = setTimeout(() => {
+			retryTimer = null;
+			engine.flushOutbox(false);
+		}, wait);
 	}
 
 	function init(domRefs) {
-		refs = domRefs;
+		refs = Object.assign({}, domRefs, { selectionButtons: Array.from(domRefs.selectionButtons || []) });
 		attachUIEvents();
+		watchEngine();
+		watchOutbox();
 		// If external words-data is available or can be loaded, prefer it
-		loadWordsDataIfNeeded()
-			.then(() => {
-				if (
-					typeof window !== "undefined" &&
-					window.wordsList &&
-					Array.isArray(window.wordsList)
-				) {
-					// Only adopt window.wordsList if cfg.words is empty (i.e. no options provided and no imported defaults)
-					if (!cfg.words || !Array.isArray(cfg.words) || cfg.words.length === 0) {
-						cfg.words = normalizeWords(window.wordsList);
-					}
-				}
-			})
-			.finally(() => {
-				// build index for faster candidate lookup on large data
+		return engine.loadWords().then(() => {
+			const question = engine.start();
+			// If words data is still empty (failed to load), show friendly message and disable UI
+			if (!question) {
 				try {
-					buildIndex();
+					showNoData();
 				} catch (e) {
-					// ignore indexing errors
-				}
-				// If words data is still empty (failed to load), show friendly message and disable UI
-				if (!cfg.words || (Array.isArray(cfg.words) && cfg.words.length === 0)) {
-					try {
-						showNoData();
-					} catch (e) {
-						// If refs not wired yet, fallback to console warning
-						if (cfg.debug) console.warn("単語データが見つかりません: showNoData() 呼び出しに失敗しました");
-					}
-				} else {
-					changeQuestion();
+					// If refs not wired yet, fallback to console warning
+					if (engine.getConfig().debug) console.warn("単語データが見つかりません: showNoData() 呼び出しに失敗しました");
 				}
-			});
+			} else {
+				renderQuestion(question);
+			}
+		}, (e) => showNoData(e && e.message));
+	}
+
+	/**
+	 * Build the quiz markup inside container and start the quiz, so a page only needs
+	 * an empty element (and style.css). Element refs are found by their data-ref names.
+	 * @param {HTMLElement} container
+	 * @returns {Promise<void>}
+	 */
+	function mount(container) {
+		const root = document.createElement("div");
+		root.className = "container vocab-quiz";
+		root.lang = engine.getConfig().locale;
+		root.innerHTML = mountHTML(msg);
+		container.appendChild(root);
+		const domRefs = { selectionButtons: [] };
+		root.querySelectorAll("[data-ref]").forEach((node) => {
+			domRefs[node.getAttribute("data-ref")] = node;
+		});
+		return init(domRefs);
 	}
 
 	return {
 		init,
+		mount,
 		changeQuestion,
 		restartQuiz,
-		setConfig: (c) => Object.assign(cfg, c),
+		reviewMistakes,
+		reviewWeakWords,
+		showStats,
+		hideStats,
+		setConfig: (c) => engine.setConfig(c),
+		getConfig: () => engine.getConfig(),
+		message: engine.message,
+		speak: engine.speak,
+		canSpeak: engine.canSpeak,
+		getVoices: engine.getVoices,
+		getShareURL: engine.getShareURL,
+		isShareable: engine.isShareable,
+		getSectionRegistry: engine.getSectionRegistry,
+		getSections: engine.getSections,
+		loadSections: engine.loadSections,
+		getWordLists: engine.getWordLists,
+		getActiveWordList: engine.getActiveWordList,
+		saveWordList: engine.saveWordList,
+		deleteWordList: engine.deleteWordList,
+		useWordList: engine.useWordList,
+		getProfiles: engine.getProfiles,
+		getActiveProfile: engine.getActiveProfile,
+		createProfile: engine.createProfile,
+		renameProfile: engine.renameProfile,
+		switchProfile,
+		deleteProfile,
+		on: engine.on,
+		off: engine.off,
+		engine,
 	};
 }
+
+/**
+ * Register the quiz as a custom element, e.g.
+ *   <vocab-quiz src="./words-data-section10.js" question-count="10" mode="mixed"></vocab-quiz>
+ * Attributes:
+ *   src             words-data module (default export = words array), relative to the page
+ *   sections        section spec ("10", "8-12") from the section manifest, used when src is not set
+ *   question-count  number of questions
+ *   mode            0 (意味 → 英単語) | 1 (英単語 → 意味) | "mixed"
+ *   locale          "ja" | "en" (see MESSAGES)
+ *   seed            same questions and choice order every time (see createRandom)
+ * Each element keeps its own words and settings (globalWords / persistSettings off), so several
+ * quizzes can share a page. The quiz API is element.quiz once element.ready has resolved.
+ * @param {string} [tagName]
+ */
+export function defineVocabQuiz(tagName = "vocab-quiz") {
+	if (typeof window === "undefined" || !window.customElements || !window.HTMLElement) return;
+	if (window.customElements.get(tagName)) return;
+
+	class VocabQuizElement extends window.HTMLElement {
+		static get observedAttributes() {
+			return ["src", "sections", "question-count", "mode", "locale", "seed"];
+		}
+
+		connectedCallback() {
+			if (this.ready) return;
+			this.ready = this.loadSource().then((words) => {
+				if (words === undefined) {
+					const catalog = MESSAGES[this.getAttribute("locale")] || MESSAGES.ja;
+					this.textContent = formatMessage(catalog.loadFailed, { src: this.getAttribute("src") });
+					return;
+				}
+				this.quiz = createQuiz(Object.assign(this.attributeOptions(), words ? { words } : {}));
+				return this.quiz.mount(this);
+			});
+		}
+
+		attributeChangedCallback(name, oldValue, value) {
+			if (!this.quiz || oldValue === value) return;
+			const quiz = this.quiz;
+			if (name === "src") {
+				this.loadSource().then((words) => {
+					if (!words) return;
+					quiz.setConfig({ words });
+					quiz.restartQuiz();
+				});
+				return;
+			}
+			if (name === "sections") {
+				quiz.loadSections(value || []).then(() => quiz.restartQuiz(), () => {});
+				return;
+			}
+			quiz.setConfig(this.attributeOptions());
+			quiz.restartQuiz();
+		}
+
+		attributeOptions() {
+			// 共有リンクはページ全体のものなので、要素ごとの設定 (seed 属性) だけを使う
+			const options = { globalWords: false, persistSettings: false, readShareLink: false };
+			const count = parseInt(this.getAttribute("question-count"), 10);
+			if (count > 0) options.questionCount = count;
+			if (this.hasAttribute("mode")) options.mode = this.getAttribute("mode");
+			if (this.hasAttribute("locale")) options.locale = this.getAttribute("locale");
+			if (this.hasAttribute("sections")) options.sections = this.getAttribute("sections");
+			if (this.hasAttribute("seed")) options.seed = this.getAttribute("seed");
+			return options;
+		}
+
+		// resolves with the words of the src module, null without src, undefined when it could not be loaded
+		loadSource() {
+			const src = this.getAttribute("src");
+			if (!src) return Promise.resolve(null);
+			return import(new URL(src, document.baseURI).href)
+				.then((mod) => (mod && Array.isArray(mod.default) ? mod.default : undefined))
+				.catch(() => undefined);
+		}
+	}
+
+	window.customElements.define(tagName, VocabQuizElement);
+}
+
+defineVocabQuiz();
@@ -0,0 +1,7 @@
+// 教科書のセクションごとの単語データ一覧 (quiz-module.js から読み込まれる)
+// 新しいセクションの words-data-sectionN.js を追加したらここに登録する
+// src は quiz-module.js からの相対パス。候補パスの配列も指定できる
+const sections = [
+	{ id: 10, label: "Section 10", src: "./words-data-section10.js" },
+]
+export default sections